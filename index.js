@@ -1,7 +1,80 @@
 'use strict';
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const WebSocket = require('ws');
+const { Bonjour } = require('bonjour-service');
+
 const PLUGIN_NAME = 'homebridge-shelly-plus-rgbw-pm';
 const PLATFORM_NAME = 'ShellyPlusRGBWPM';
+const DEVICE_APP = 'PlusRGBWPM';
+const DISCOVERY_SERVICE_TYPES = ['shelly', 'http'];
+const HISTORY_INTERVAL_MS = 10 * 60 * 1000;
+const HISTORY_SIZE = 4032;
+const EVE_EPOCH_OFFSET = 978307200;
+const MIN_MIRED = 140;
+const MAX_MIRED = 500;
+const DEFAULT_WHITE_TEMPERATURE = 4000;
+const MAX_TRANSITION_SECONDS = 60;
+const MAX_TIMER_SECONDS = 3600;
+const DIMMING_CURVES = ['linear', 'logarithmic', 'custom'];
+const LOGARITHMIC_DIMMING_BASE = 100;
+const INPUT_CATEGORIES = {
+  button: 'PROGRAMMABLE_SWITCH',
+  contact: 'SENSOR',
+  switch: 'SWITCH',
+};
+const INPUT_EVENTS = {
+  single_push: 0,
+  double_push: 1,
+  long_push: 2,
+};
+const EFFECT_TYPES = {
+  colorLoop: { speed: 30, color: true },
+  breathing: { speed: 4 },
+  candle: { speed: 1 },
+  strobe: { speed: 0.5 },
+};
+const DEFAULT_REQUEST_OPTIONS = {
+  pollIntervalMs: 5000,
+  timeoutMs: 4000,
+  retries: 1,
+};
+const RETRY_DELAY_MS = 250;
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+const OFFLINE_AFTER_FAILURES = 3;
+const MAX_POLL_BACKOFF_MS = 5 * 60 * 1000;
+const TRANSIENT_STATUS_KEYS = ['errors', 'timer_started_at', 'timer_duration'];
+const WRITE_COALESCE_MS = 50;
+const REQUEST_CONCURRENCY = 1;
+const REQUEST_INTERVAL_MS = 50;
+const LIGHT_CHANNELS = [0, 1, 2, 3];
+const MERGED_WRITE_KEYS = ['on', 'brightness'];
+const LIGHT_KINDS = ['light', 'cct', 'rgb', 'rgbw'];
+const PROFILE_REBOOT_DELAY_MS = 5000;
+const PROFILE_SWITCH_TIMEOUT_MS = 90 * 1000;
+const INITIAL_STATES = ['off', 'on', 'restore_last'];
+const UPDATE_STAGES = ['stable', 'beta'];
+const DEFAULT_UPDATE_CHECK_HOURS = 24;
+const UPDATE_RESTART_TIMEOUT_MS = 10 * 60 * 1000;
+const PROFILE_COMPONENTS = {
+  light: 'Light',
+  rgb: 'RGB',
+  rgbw: 'RGBW',
+};
+const WEBHOOK_NAME = 'homebridge-rgbw-pm';
+const WEBHOOK_PATH = '/webhook';
+const DEFAULT_WEBHOOK_PORT = 8681;
+const WEBHOOK_SECRET_FILE = 'webhook-secret';
+const WEBHOOK_INPUT_EVENTS = {
+  'input.button_push': 'single_push',
+  'input.button_doublepush': 'double_push',
+  'input.button_longpush': 'long_push',
+};
 
 module.exports = (api) => {
   api.registerPlatform(PLATFORM_NAME, ShellyPlusRGBWPMPlatform);
@@ -15,24 +88,50 @@ class ShellyPlusRGBWPMPlatform {
 
     this.Service = this.api.hap.Service;
     this.Characteristic = this.api.hap.Characteristic;
+    this.EveCharacteristic = createEveCharacteristics(this.api.hap);
+    this.EveHistoryService = createEveHistoryService(this.api.hap, this.EveCharacteristic);
+    this.CustomCharacteristic = createCustomCharacteristics(this.api.hap);
 
     this.accessories = new Map();
     this.commandQueues = new Map();
-
-    this.pollTimer = null;
-    this.pollInFlight = null;
+    this.pendingWrites = new Map();
+    this.histories = new Map();
+    this.adaptiveLightingControllers = new Map();
 
     this.platformName = normalizeName(this.config.name) || 'Shelly Plus RGBW PM';
+    this.requestOptions = parseRequestOptions(this.config, DEFAULT_REQUEST_OPTIONS);
+    this.useWebSocket = this.config.useWebSocket !== false;
+    this.energyHistory = this.config.energyHistory === true;
+    this.historyTimer = null;
+    this.autoDiscover = this.config.autoDiscover === true;
+    this.discoveryAllow = normalizeIdList(this.config.discoveryAllow);
+    this.discoveryDeny = normalizeIdList(this.config.discoveryDeny);
+    this.discoveryPassword = typeof this.config.discoveryPassword === 'string' ? this.config.discoveryPassword : '';
+    this.bonjour = null;
+    this.discoveryProbes = new Set();
+    this.discoveryIgnored = new Set();
+    this.webhooks = this.config.webhooks === true;
+    this.webhookPort = Number.isInteger(this.config.webhookPort) ? this.config.webhookPort : DEFAULT_WEBHOOK_PORT;
+    this.webhookAddress = sanitizeHost(this.config.webhookAddress);
+    this.webhookServer = null;
+    this.webhookSecret = null;
+    this.formerClients = new Map();
+    this.updateCheckMs = parseUpdateCheckInterval(this.config.updateCheckInterval);
+    this.updateTimer = null;
     this.devices = this.parseConfiguredDevices();
 
-    if (!this.devices.size) {
-      this.log.error('No Shelly devices configured. Add one or more entries under "devices".');
+    if (!this.devices.size && !this.autoDiscover) {
+      this.log.error('No Shelly devices configured. Add one or more entries under "devices" or enable discovery.');
       return;
     }
 
     this.api.on('didFinishLaunching', async () => {
       await this.initialize();
     });
+
+    this.api.on('shutdown', () => {
+      this.shutdown();
+    });
   }
 
   configureAccessory(accessory) {
@@ -74,820 +173,4480 @@ class ShellyPlusRGBWPMPlatform {
 
     const displayName = normalizeName(config.name) || options.fallbackName || host;
     const showDimmers = [0, 1, 2, 3].map((channel) => this.isDimmerEnabled(config, channel));
+    const cctPairs = this.parseCctPairs(config, host);
+    const auth = typeof config.password === 'string' && config.password
+      ? new ShellyDigestAuth(config.password)
+      : null;
+    const requestOptions = parseRequestOptions(config, this.requestOptions);
 
     devices.set(host, {
       host,
       displayName,
       showDimmers,
-      client: new ShellyRpcClient(host),
+      cctPairs,
+      profileSetting: normalizeProfile(config.profile),
+      enforceProfile: config.enforceProfile === true,
+      profileChecked: false,
+      profileSwitch: null,
+      rgbwMode: config.rgbwMode === 'mixed' ? 'mixed' : 'exclusive',
+      transitions: parseTransitions(config),
+      channelSettings: this.parseChannelSettings(config, host),
+      inputs: this.parseInputs(config, host),
+      presets: this.parsePresets(config, host),
+      effects: this.parseEffects(config, host),
+      effectRunner: null,
+      activeEffect: null,
+      exposeTransition: config.exposeTransition === true,
+      exposeTimer: config.exposeTimer === true,
+      showUpdateSwitch: config.showUpdateSwitch === true,
+      updateStage: config.updateStage === 'beta' ? 'beta' : 'stable',
+      availableUpdates: {},
+      updatingUntil: 0,
+      updateRestarted: false,
+      showTemperature: config.showTemperature === true,
+      whiteTemperature: clampKelvin(config.whiteTemperature),
+      colorCalibration: parseColorCalibration(config),
+      adaptiveLighting: config.adaptiveLighting !== false,
+      autoDiscovered: Boolean(options.autoDiscovered),
+      auth,
+      pollIntervalMs: requestOptions.pollIntervalMs,
+      pollTimer: null,
+      client: new ShellyRpcClient(host, {
+        auth,
+        timeoutMs: requestOptions.timeoutMs,
+        retries: requestOptions.retries,
+      }),
+      socket: null,
+      pushActive: false,
+      failures: 0,
+      offline: false,
+      retryAt: 0,
+      status: null,
+      topologyCheck: null,
       profile: null,
       deviceInfo: {},
+      identity: null,
       descriptors: [],
       discovered: false,
     });
   }
 
   async initialize() {
+    if (this.autoDiscover) {
+      this.restoreDiscoveredDevices();
+    }
+
+    if (this.webhooks) {
+      await this.startWebhookServer();
+    }
+
     try {
       await this.refreshTopology();
     } catch (error) {
       this.log.error('Initial Shelly discovery failed: %s', error.message);
     }
 
+    if (this.useWebSocket) {
+      this.startPushUpdates();
+    }
+
     this.startPolling();
+
+    if (this.updateCheckMs) {
+      this.startUpdateChecks();
+    }
+
+    if (this.energyHistory) {
+      this.startHistory();
+    }
+
+    if (this.autoDiscover) {
+      this.startDiscovery();
+    }
   }
 
-  startPolling(intervalMs = 5000) {
-    if (this.pollTimer) {
-      clearInterval(this.pollTimer);
+  shutdown() {
+    if (this.historyTimer) {
+      clearInterval(this.historyTimer);
+      this.historyTimer = null;
     }
 
-    this.pollTimer = setInterval(async () => {
-      try {
-        await this.pollSerial();
-      } catch (error) {
-        this.log.warn('Polling cycle failed: %s', error.message);
+    if (this.updateTimer) {
+      clearInterval(this.updateTimer);
+      this.updateTimer = null;
+    }
+
+    if (this.bonjour) {
+      this.bonjour.destroy();
+      this.bonjour = null;
+    }
+
+    if (this.webhookServer) {
+      this.webhookServer.close();
+      this.webhookServer = null;
+    }
+
+    for (const device of this.devices.values()) {
+      this.stopPolling(device);
+
+      if (device.effectRunner) {
+        device.effectRunner.stop();
       }
-    }, intervalMs);
 
-    if (typeof this.pollTimer.unref === 'function') {
-      this.pollTimer.unref();
+      if (device.socket) {
+        device.socket.close();
+      }
     }
   }
 
-  async poll() {
-    const devices = Array.from(this.devices.values());
-    await Promise.all(devices.map((device) => this.pollDevice(device)));
+  async startWebhookServer() {
+    this.webhookSecret = await this.loadWebhookSecret();
+
+    const server = http.createServer((req, res) => this.handleWebhookRequest(req, res));
+
+    return new Promise((resolve) => {
+      server.once('error', (error) => {
+        this.log.error('Webhook listener could not start on port %d: %s', this.webhookPort, error.message);
+        resolve();
+      });
+
+      server.listen(this.webhookPort, () => {
+        this.webhookServer = server;
+        this.log.info('Webhook listener running on port %d.', this.webhookPort);
+        resolve();
+      });
+    });
   }
 
-  async pollDevice(device) {
+  async loadWebhookSecret() {
+    // The secret in every webhook URL keeps other hosts on the network from
+    // faking device events. It is kept so registered webhooks stay valid.
+    const filePath = path.join(this.api.user.storagePath(), PLUGIN_NAME, WEBHOOK_SECRET_FILE);
+
     try {
-      const status = await device.client.getStatus();
-      const nextProfile = determineProfile(status, null);
+      const secret = (await fs.promises.readFile(filePath, 'utf8')).trim();
 
-      if (nextProfile !== device.profile) {
-        this.log.info(
-          'Shelly %s profile changed from %s to %s. Rebuilding accessories.',
-          device.host,
-          device.profile || 'unknown',
-          nextProfile,
-        );
-        await this.refreshDeviceTopology(device, { cachedStatus: status });
-        return;
+      if (secret) {
+        return secret;
       }
-
-      this.updateAccessoryStates(device.host, status);
     } catch (error) {
-      this.log.warn('Polling failed for %s: %s', device.host, error.message);
+      if (error.code !== 'ENOENT') {
+        this.log.warn('Could not read webhook secret %s: %s', filePath, error.message);
+      }
     }
-  }
 
-  async pollSerial() {
-    if (this.pollInFlight) {
-      return this.pollInFlight;
-    }
+    const secret = crypto.randomBytes(16).toString('hex');
 
-    this.pollInFlight = this.poll().finally(() => {
-      this.pollInFlight = null;
-    });
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, secret, { mode: 0o600 });
+    } catch (error) {
+      this.log.warn('Could not write webhook secret %s: %s', filePath, error.message);
+    }
 
-    return this.pollInFlight;
+    return secret;
   }
 
-  async refreshTopology() {
-    const statusesByHost = new Map();
-    const devices = Array.from(this.devices.values());
-
-    await Promise.all(devices.map(async (device) => {
-      try {
-        const status = await this.refreshDeviceTopology(device, { sync: false });
-        statusesByHost.set(device.host, status);
-      } catch (error) {
-        this.log.warn('Shelly discovery failed for %s: %s', device.host, error.message);
-      }
-    }));
+  handleWebhookRequest(req, res) {
+    let url;
 
-    this.syncAccessories(this.collectDiscoveredDescriptors());
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
 
-    for (const [host, status] of statusesByHost.entries()) {
-      this.updateAccessoryStates(host, status);
+    if (url.pathname !== WEBHOOK_PATH) {
+      res.statusCode = 404;
+      res.end();
+      return;
     }
 
-    if (!statusesByHost.size) {
-      throw new Error('Could not discover any configured Shelly devices.');
+    if (!matchesSecret(url.searchParams.get('token'), this.webhookSecret)) {
+      this.log.debug('Ignoring webhook call with a wrong token from %s.', req.socket.remoteAddress);
+      res.statusCode = 403;
+      res.end();
+      return;
     }
-  }
 
-  async refreshDeviceTopology(device, options = {}) {
-    const { cachedStatus, sync = true } = options;
-    const [status, deviceInfo] = await Promise.all([
-      cachedStatus ? Promise.resolve(cachedStatus) : device.client.getStatus(),
-      device.client.getDeviceInfo().catch((error) => {
-        this.log.warn('Shelly.GetDeviceInfo failed for %s: %s', device.host, error.message);
-        return {};
-      }),
-    ]);
+    const device = this.devices.get(url.searchParams.get('device'));
 
-    device.deviceInfo = deviceInfo || {};
-    device.profile = determineProfile(status, device.deviceInfo.profile);
-    device.descriptors = this.buildAccessoryDescriptors(device);
-    device.discovered = true;
+    res.statusCode = device ? 204 : 404;
+    res.end();
 
-    if (sync) {
-      this.syncAccessories(this.collectDiscoveredDescriptors());
-      this.updateAccessoryStates(device.host, status);
+    // A connected WebSocket already delivered the same change as a notification.
+    if (!device || !device.discovered || this.isPushConnected(device)) {
+      return;
     }
 
-    return status;
+    const inputEvent = WEBHOOK_INPUT_EVENTS[url.searchParams.get('event')];
+
+    if (inputEvent) {
+      this.emitInputEvent(device, Number(url.searchParams.get('cid')), INPUT_EVENTS[inputEvent]);
+      return;
+    }
+
+    this.pollDevice(device);
   }
 
-  collectDiscoveredDescriptors() {
-    const descriptors = [];
+  async syncWebhooks(device) {
+    const address = this.webhookAddress || await resolveLocalAddress(device.host);
+    const baseUrl = `http://${formatAddress(address)}:${this.webhookPort}${WEBHOOK_PATH}`;
+    const wanted = this.buildWebhooks(device).map((hook) => Object.assign(hook, {
+      url: `${baseUrl}?device=${encodeURIComponent(device.host)}&event=${hook.event}&cid=${hook.cid}&token=${this.webhookSecret}`,
+    }));
 
-    for (const device of this.devices.values()) {
-      if (!device.discovered) {
+    const registered = await this.pruneWebhooks(device.client, device.host, wanted.map(webhookKey));
+    let created = 0;
+
+    for (const hook of wanted) {
+      if (registered.has(webhookKey(hook))) {
         continue;
       }
 
-      descriptors.push(...device.descriptors);
+      try {
+        await device.client.call('Webhook.Create', {
+          cid: hook.cid,
+          enable: true,
+          event: hook.event,
+          name: WEBHOOK_NAME,
+          urls: [hook.url],
+        });
+        created++;
+      } catch (error) {
+        this.log.warn('Webhook.Create %s failed for %s: %s', hook.event, device.host, error.message);
+      }
     }
 
-    return descriptors;
+    if (created) {
+      this.log.info('Registered %d webhook(s) on %s.', created, device.host);
+    }
   }
 
-  buildAccessoryDescriptors(device) {
-    const { host, profile, displayName, showDimmers } = device;
+  buildWebhooks(device) {
+    const hooks = [];
+    const addToggle = (component, cid) => {
+      hooks.push({ event: `${component}.on`, cid }, { event: `${component}.off`, cid });
+    };
 
-    if (profile === 'light') {
-      const descriptors = [];
+    for (const descriptor of device.descriptors) {
+      if (descriptor.kind === 'light') {
+        addToggle('light', descriptor.channel);
+      } else if (descriptor.kind === 'cct') {
+        const pair = device.cctPairs.find((candidate) => candidate.warm === descriptor.channel);
 
-      for (let channel = 0; channel < 4; channel++) {
-        if (!showDimmers[channel]) {
-          continue;
+        if (pair) {
+          addToggle('light', pair.warm);
+          addToggle('light', pair.cold);
         }
+      } else if (descriptor.kind === 'input') {
+        const events = descriptor.inputType === 'button'
+          ? Object.keys(WEBHOOK_INPUT_EVENTS)
+          : ['input.toggle_on', 'input.toggle_off'];
 
-        const name = `${displayName} Dimmer ${channel + 1}`;
-        descriptors.push({
-          host,
-          kind: 'light',
-          channel,
-          name,
-          uuid: this.api.hap.uuid.generate(`${host}|light|${channel}`),
-        });
-      }
-
-      if (!descriptors.length) {
-        this.log.warn('Shelly %s is in light profile but all dimmer checkboxes are disabled.', host);
+        for (const event of events) {
+          hooks.push({ event, cid: descriptor.channel });
+        }
+      } else if (descriptor.kind === 'rgb' || descriptor.kind === 'rgbw') {
+        addToggle(descriptor.kind, 0);
       }
-
-      return descriptors;
     }
 
-    return [{
-      host,
-      kind: profile,
-      channel: 0,
-      name: displayName,
-      uuid: this.api.hap.uuid.generate(`${host}|${profile}|0`),
-    }];
+    return hooks;
   }
 
-  isDimmerEnabled(config, channel) {
-    const key = `showDimmer${channel + 1}`;
-    return !config || config[key] !== false;
-  }
+  async pruneWebhooks(client, host, keep = []) {
+    const result = await client.call('Webhook.List');
+    const hooks = result && Array.isArray(result.hooks) ? result.hooks : [];
+    const remaining = new Set();
 
-  inferHostFromUuid(uuid) {
-    for (const host of this.devices.keys()) {
-      for (let channel = 0; channel < 4; channel++) {
-        if (uuid === this.api.hap.uuid.generate(`${host}|light|${channel}`)) {
-          return host;
-        }
-      }
+    for (const hook of hooks) {
+      const url = Array.isArray(hook.urls) ? hook.urls[0] : '';
 
-      if (uuid === this.api.hap.uuid.generate(`${host}|rgb|0`)) {
-        return host;
+      const owner = webhookDevice(url);
+
+      // Hooks for a former address of this device are stale, but hooks of
+      // another configured device at a shared address are not ours to touch.
+      if (hook.name !== WEBHOOK_NAME || (owner !== host && this.devices.has(owner))) {
+        continue;
       }
 
-      if (uuid === this.api.hap.uuid.generate(`${host}|rgbw|0`)) {
-        return host;
+      const key = webhookKey({ event: hook.event, cid: hook.cid, url });
+
+      if (keep.includes(key) && !remaining.has(key)) {
+        remaining.add(key);
+        continue;
       }
+
+      await client.call('Webhook.Delete', { id: hook.id });
     }
 
-    return '';
+    return remaining;
   }
 
-  getAccessoryHost(accessory) {
-    const contextHost = sanitizeHost(accessory.context ? accessory.context.host : '');
-
-    if (contextHost) {
-      return contextHost;
+  async removeWebhooks(host, identity) {
+    // A device still configured under another address drops the webhooks of
+    // its former address itself, with its own credentials.
+    if (identity && Array.from(this.devices.values()).some((device) => device.identity === identity)) {
+      return;
     }
 
-    const inferredHost = this.inferHostFromUuid(accessory.UUID);
+    const client = this.formerClients.get(host) || new ShellyRpcClient(host, {
+      auth: this.discoveryPassword ? new ShellyDigestAuth(this.discoveryPassword) : null,
+    });
+    this.formerClients.delete(host);
 
-    if (inferredHost) {
-      accessory.context.host = inferredHost;
-      return inferredHost;
-    }
+    try {
+      await this.pruneWebhooks(client, host);
+      this.log.info('Removed webhooks from %s.', host);
+    } catch (error) {
+      // The password of a device removed before the last restart is gone.
+      if (error.code === 401) {
+        this.log.warn(
+          'Could not remove webhooks from %s because it requires a password. Delete the webhooks named %s in its web interface.',
+          host,
+          WEBHOOK_NAME,
+        );
+        return;
+      }
 
-    return '';
+      this.log.warn('Could not remove webhooks from %s: %s', host, error.message);
+    }
   }
 
-  getAccessoryDevice(accessory) {
-    const host = this.getAccessoryHost(accessory);
-
-    if (!host) {
-      throw new Error('Accessory host is missing from cached context.');
+  startHistory() {
+    if (this.historyTimer) {
+      clearInterval(this.historyTimer);
     }
 
-    const device = this.devices.get(host);
+    this.historyTimer = setInterval(() => {
+      for (const history of this.histories.values()) {
+        history.commit();
+      }
+    }, HISTORY_INTERVAL_MS);
 
-    if (!device) {
-      throw new Error(`Shelly host ${host} is not configured.`);
+    if (typeof this.historyTimer.unref === 'function') {
+      this.historyTimer.unref();
     }
-
-    return device;
   }
 
-  syncAccessories(descriptors) {
-    const wanted = new Map(descriptors.map((descriptor) => [descriptor.uuid, descriptor]));
+  restoreDiscoveredDevices() {
+    for (const accessory of this.accessories.values()) {
+      const discovery = accessory.context.discovery;
+      const host = sanitizeHost(accessory.context.host);
 
-    for (const [uuid, accessory] of this.accessories.entries()) {
-      if (wanted.has(uuid)) {
+      if (!discovery || !host || this.devices.has(host) || this.findDeviceById(discovery.id)) {
         continue;
       }
 
-      const host = this.getAccessoryHost(accessory);
-      const device = host ? this.devices.get(host) : null;
-
-      if (device && !device.discovered) {
+      if (!this.isDiscoveryAllowed(discovery.id, host)) {
         continue;
       }
 
-      this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
-      this.accessories.delete(uuid);
-      this.commandQueues.delete(uuid);
-      this.log.info('Removed accessory: %s', accessory.displayName);
+      this.addConfiguredDevice(this.devices, { host, name: discovery.name, password: this.discoveryPassword }, {
+        fallbackName: discovery.id,
+        autoDiscovered: true,
+      });
+
+      this.devices.get(host).deviceId = discovery.id;
     }
+  }
 
-    for (const descriptor of descriptors) {
-      const existing = this.accessories.get(descriptor.uuid);
+  startDiscovery() {
+    this.bonjour = new Bonjour();
 
-      if (existing) {
-        existing.context.host = descriptor.host;
-        existing.context.kind = descriptor.kind;
-        existing.context.channel = descriptor.channel;
-        existing.context.state = existing.context.state || {};
+    for (const type of DISCOVERY_SERVICE_TYPES) {
+      this.bonjour.find({ type, protocol: 'tcp' }, (service) => {
+        this.handleDiscoveredService(service).catch((error) => {
+          this.log.warn('Shelly discovery of %s failed: %s', service.name, error.message);
+        });
+      });
+    }
 
-        if (existing.displayName !== descriptor.name) {
-          existing.displayName = descriptor.name;
-        }
+    this.log.info('Browsing the network for Shelly Plus RGBW PM devices.');
+  }
 
-        this.configureShellyAccessory(existing);
-        this.api.updatePlatformAccessories([existing]);
-        continue;
-      }
+  async handleDiscoveredService(service) {
+    const id = String(service.name || '').trim().toLowerCase();
 
-      const accessory = new this.api.platformAccessory(
-        descriptor.name,
-        descriptor.uuid,
-        this.api.hap.Categories.LIGHTBULB,
-      );
+    if (!id.startsWith('shelly') || this.discoveryProbes.has(id) || this.discoveryIgnored.has(id)) {
+      return;
+    }
 
-      accessory.context.host = descriptor.host;
-      accessory.context.kind = descriptor.kind;
-      accessory.context.channel = descriptor.channel;
-      accessory.context.state = defaultState(descriptor.kind);
+    const host = pickServiceAddress(service);
+    const known = this.findDeviceById(id);
 
-      this.configureShellyAccessory(accessory);
-      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
-      this.accessories.set(descriptor.uuid, accessory);
-      this.log.info('Added accessory: %s', descriptor.name);
+    if (known) {
+      if (host && known.autoDiscovered && known.host !== host) {
+        this.discoveryProbes.add(id);
+        await this.moveDiscoveredDevice(known, host).finally(() => this.discoveryProbes.delete(id));
+      }
+
+      return;
     }
-  }
 
-  configureShellyAccessory(accessory) {
-    const host = this.getAccessoryHost(accessory);
-    const device = host ? this.devices.get(host) : null;
-    const deviceInfo = device ? device.deviceInfo : {};
+    if (!host || this.isManualHost(host, id)) {
+      return;
+    }
 
-    const information = accessory.getService(this.Service.AccessoryInformation)
-      || accessory.addService(this.Service.AccessoryInformation);
+    this.discoveryProbes.add(id);
 
-    information
-      .setCharacteristic(this.Characteristic.Manufacturer, 'Shelly')
-      .setCharacteristic(this.Characteristic.Model, deviceInfo.model || 'Shelly Plus RGBW PM')
-      .setCharacteristic(this.Characteristic.SerialNumber, deviceInfo.mac || host || 'unknown')
-      .setCharacteristic(this.Characteristic.FirmwareRevision, deviceInfo.ver || 'unknown');
+    try {
+      // Shelly.GetDeviceInfo answers without authentication.
+      const deviceInfo = await new ShellyRpcClient(host).getDeviceInfo();
+      const deviceId = String(deviceInfo.id || id).toLowerCase();
 
-    const lightService = accessory.getService(this.Service.Lightbulb)
-      || accessory.addService(this.Service.Lightbulb);
+      if (deviceInfo.app !== DEVICE_APP) {
+        this.discoveryIgnored.add(id);
+        return;
+      }
 
-    lightService.setCharacteristic(this.Characteristic.Name, accessory.displayName);
+      if (this.findDeviceById(deviceId)) {
+        return;
+      }
 
-    const onCharacteristic = lightService.getCharacteristic(this.Characteristic.On);
-    resetCharacteristicHandlers(onCharacteristic);
-    onCharacteristic.onGet(() => this.getOn(accessory));
-    onCharacteristic.onSet((value) => this.setOn(accessory, value));
+      if (!this.isDiscoveryAllowed(deviceId, host)) {
+        this.discoveryIgnored.add(id);
+        this.log.info('Ignoring discovered Shelly %s (%s) because of the allow/deny list.', deviceId, host);
+        return;
+      }
 
-    const brightnessCharacteristic = lightService.getCharacteristic(this.Characteristic.Brightness);
-    resetCharacteristicHandlers(brightnessCharacteristic);
-    brightnessCharacteristic.onGet(() => this.getBrightness(accessory));
-    brightnessCharacteristic.onSet((value) => this.setBrightness(accessory, value));
+      if (deviceInfo.auth_en && !this.discoveryPassword) {
+        this.discoveryIgnored.add(id);
+        this.log.warn(
+          'Skipping discovered Shelly %s (%s) because it requires a password. Add it under "devices" with its password, or set a discovery password.',
+          deviceId,
+          host,
+        );
+        return;
+      }
 
-    if (accessory.context.kind === 'light') {
-      if (lightService.testCharacteristic(this.Characteristic.Hue)) {
-        lightService.removeCharacteristic(lightService.getCharacteristic(this.Characteristic.Hue));
+      this.addConfiguredDevice(this.devices, { host, name: deviceInfo.name, password: this.discoveryPassword }, {
+        fallbackName: deviceId,
+        autoDiscovered: true,
+      });
+
+      const device = this.devices.get(host);
+
+      if (!device) {
+        return;
       }
 
-      if (lightService.testCharacteristic(this.Characteristic.Saturation)) {
-        lightService.removeCharacteristic(lightService.getCharacteristic(this.Characteristic.Saturation));
+      device.deviceId = deviceId;
+      this.log.info('Discovered Shelly %s at %s.', deviceId, host);
+
+      await this.refreshDeviceTopology(device);
+
+      if (this.useWebSocket) {
+        this.startPushUpdates();
       }
 
+      this.startPolling();
+    } finally {
+      this.discoveryProbes.delete(id);
+    }
+  }
+
+  async moveDiscoveredDevice(device, host) {
+    this.log.info('Shelly %s moved from %s to %s.', device.deviceId, device.host, host);
+    this.removeDevice(device);
+
+    this.addConfiguredDevice(this.devices, { host, name: device.displayName, password: this.discoveryPassword }, {
+      fallbackName: device.deviceId,
+      autoDiscovered: true,
+    });
+
+    const moved = this.devices.get(host);
+
+    if (!moved) {
       return;
     }
 
-    const hueCharacteristic = lightService.getCharacteristic(this.Characteristic.Hue);
-    resetCharacteristicHandlers(hueCharacteristic);
-    hueCharacteristic.onGet(() => this.getHue(accessory));
-    hueCharacteristic.onSet((value) => this.setHue(accessory, value));
+    moved.deviceId = device.deviceId;
+    moved.identity = device.identity;
 
-    const saturationCharacteristic = lightService.getCharacteristic(this.Characteristic.Saturation);
-    resetCharacteristicHandlers(saturationCharacteristic);
-    saturationCharacteristic.onGet(() => this.getSaturation(accessory));
-    saturationCharacteristic.onSet((value) => this.setSaturation(accessory, value));
-  }
+    try {
+      await this.refreshDeviceTopology(moved);
+    } catch (error) {
+      this.log.warn('Shelly discovery failed for %s: %s', host, error.message);
+    }
 
-  getState(accessory) {
-    if (!accessory.context.state) {
-      accessory.context.state = defaultState(accessory.context.kind);
+    if (this.useWebSocket) {
+      this.startPushUpdates();
     }
 
-    return accessory.context.state;
+    this.startPolling();
   }
 
-  getOn(accessory) {
-    return this.getState(accessory).on;
-  }
+  findDeviceById(id) {
+    if (!id) {
+      return null;
+    }
 
-  getBrightness(accessory) {
-    return this.getState(accessory).brightness;
-  }
+    for (const device of this.devices.values()) {
+      if (device.deviceId === id) {
+        return device;
+      }
+    }
 
-  getHue(accessory) {
-    return this.getState(accessory).hue;
+    return null;
   }
 
-  getSaturation(accessory) {
-    return this.getState(accessory).saturation;
+  isManualHost(host, id) {
+    for (const device of this.devices.values()) {
+      if (device.autoDiscovered) {
+        continue;
+      }
+
+      const configuredHost = device.host.toLowerCase();
+
+      if (configuredHost === host.toLowerCase() || configuredHost === `${id}.local`) {
+        return true;
+      }
+    }
+
+    return false;
   }
 
-  async setOn(accessory, value) {
-    const targetOn = Boolean(value);
+  isDiscoveryAllowed(id, host) {
+    const keys = [id, host.toLowerCase()];
 
-    await this.runAccessoryWrite(accessory, 'On', async () => {
-      const device = this.getAccessoryDevice(accessory);
-      const kind = accessory.context.kind;
-      const state = this.getState(accessory);
+    if (this.discoveryDeny.some((entry) => keys.includes(entry))) {
+      return false;
+    }
 
-      if (kind === 'light') {
-        await device.client.call('Light.Set', {
-          id: accessory.context.channel,
-          on: targetOn,
-        });
+    return !this.discoveryAllow.length || this.discoveryAllow.some((entry) => keys.includes(entry));
+  }
 
-        state.on = targetOn;
+  removeDevice(device) {
+    this.stopPolling(device);
 
-        if (targetOn && state.brightness <= 0) {
-          state.brightness = 100;
-        }
+    if (device.effectRunner) {
+      device.effectRunner.stop();
+    }
 
-        this.pushStateToHomeKit(accessory, state);
-        return;
-      }
+    if (device.socket) {
+      device.socket.close();
+    }
 
-      if (!targetOn) {
-        await device.client.call(profileToMethod(kind), { id: 0, on: false });
-        state.on = false;
-        this.pushStateToHomeKit(accessory, state);
-        return;
-      }
+    this.devices.delete(device.host);
+    this.formerClients.set(device.host, device.client);
+  }
 
-      if (state.brightness <= 0) {
-        state.brightness = 100;
+  startPushUpdates() {
+    for (const device of this.devices.values()) {
+      if (device.socket) {
+        continue;
       }
 
-      state.on = true;
-      const params = this.buildColorSetParams(kind, state, true);
-      await device.client.call(profileToMethod(kind), params);
-      this.pushStateToHomeKit(accessory, state);
-    });
-  }
+      const socket = new ShellyRpcSocket(device.host, { auth: device.auth, timeoutMs: device.client.timeoutMs });
+
+      socket.on('open', async () => {
+        // The device only sends notifications to a peer that has identified
+        // (and, if required, authenticated) itself in at least one request.
+        try {
+          const status = await socket.call('Shelly.GetStatus');
+          device.pushActive = true;
+          this.log.info('Shelly %s connected via WebSocket. Polling paused.', device.host);
+          await this.handleDeviceResponse(device, status);
+        } catch (error) {
+          this.log.warn('WebSocket resync failed for %s: %s', device.host, error.message);
+        }
+      });
 
-  async setBrightness(accessory, value) {
-    const targetBrightness = clampPercent(value);
+      socket.on('close', () => {
+        if (device.updatingUntil) {
+          device.updateRestarted = true;
+        } else if (device.pushActive) {
+          this.log.warn('Shelly %s WebSocket disconnected. Falling back to polling.', device.host);
+        }
 
-    await this.runAccessoryWrite(accessory, 'Brightness', async () => {
-      const device = this.getAccessoryDevice(accessory);
-      const kind = accessory.context.kind;
-      const state = this.getState(accessory);
+        device.pushActive = false;
+      });
 
-      if (kind === 'light') {
-        if (targetBrightness <= 0) {
-          await device.client.call('Light.Set', {
-            id: accessory.context.channel,
-            on: false,
-          });
+      socket.on('notify', (method, params) => {
+        this.handleStatusNotification(device, method, params);
+      });
 
-          state.on = false;
-          state.brightness = 0;
-          this.pushStateToHomeKit(accessory, state);
-          return;
-        }
+      device.socket = socket;
+      socket.connect();
+    }
+  }
 
-        await device.client.call('Light.Set', {
-          id: accessory.context.channel,
-          on: true,
-          brightness: targetBrightness,
-        });
+  isPushConnected(device) {
+    return Boolean(device.pushActive && device.socket && device.socket.connected);
+  }
+
+  handleStatusNotification(device, method, params) {
+    if (!device.discovered || device.profileSwitch || !params) {
+      return;
+    }
 
-        state.on = true;
-        state.brightness = targetBrightness;
-        this.pushStateToHomeKit(accessory, state);
+    if (method === 'NotifyFullStatus') {
+      this.applyDeviceStatus(device, params).catch((error) => {
+        this.log.warn('Status update failed for %s: %s', device.host, error.message);
+      });
+    } else if (method === 'NotifyStatus') {
+      if (!device.status) {
         return;
       }
 
-      if (targetBrightness <= 0) {
-        await device.client.call(profileToMethod(kind), { id: 0, on: false });
-        state.on = false;
-        state.brightness = 0;
-        this.pushStateToHomeKit(accessory, state);
+      const previousRevision = device.status.sys ? device.status.sys.cfg_rev : undefined;
+      device.status = mergeStatus(device.status, params);
+
+      if (params.sys && params.sys.cfg_rev !== undefined && params.sys.cfg_rev !== previousRevision) {
+        this.recheckDeviceTopology(device);
         return;
       }
 
-      state.on = true;
-      state.brightness = targetBrightness;
-      const params = this.buildColorSetParams(kind, state, true);
-      await device.client.call(profileToMethod(kind), params);
-      this.pushStateToHomeKit(accessory, state);
-    });
+      this.updateAccessoryStates(device.host, device.status);
+    } else if (method === 'NotifyEvent') {
+      if (hasConfigChangedEvent(params)) {
+        this.recheckDeviceTopology(device);
+      }
+
+      this.handleInputEvents(device, params);
+    }
   }
 
-  async setHue(accessory, value) {
-    const targetHue = clampHue(value);
+  recheckDeviceTopology(device) {
+    // The profile, outputs or inputs may have changed. Polling is paused
+    // while the WebSocket is connected, so nothing else would notice.
+    if (device.topologyCheck) {
+      return;
+    }
 
-    await this.runAccessoryWrite(accessory, 'Hue', async () => {
-      const device = this.getAccessoryDevice(accessory);
-      const kind = accessory.context.kind;
-      const state = this.getState(accessory);
+    device.topologyCheck = this.refreshDeviceTopology(device)
+      .catch((error) => {
+        this.log.warn('Shelly discovery failed for %s: %s', device.host, error.message);
+      })
+      .finally(() => {
+        device.topologyCheck = null;
+      });
+  }
 
-      state.hue = targetHue;
+  handleInputEvents(device, params) {
+    const events = Array.isArray(params.events) ? params.events : [];
 
-      if (!state.on) {
-        return;
+    for (const event of events) {
+      const match = /^input:(\d+)$/.exec(event && event.component);
+      const value = event ? INPUT_EVENTS[event.event] : undefined;
+
+      if (!match || value === undefined) {
+        continue;
       }
 
-      const params = this.buildColorSetParams(kind, state, true);
-      await device.client.call(profileToMethod(kind), params);
-      this.pushStateToHomeKit(accessory, state);
-    });
+      this.emitInputEvent(device, Number(match[1]), value);
+    }
   }
 
-  async setSaturation(accessory, value) {
-    const targetSaturation = clampPercent(value);
-
-    await this.runAccessoryWrite(accessory, 'Saturation', async () => {
-      const device = this.getAccessoryDevice(accessory);
-      const kind = accessory.context.kind;
-      const state = this.getState(accessory);
+  emitInputEvent(device, input, value) {
+    const descriptor = device.descriptors.find((candidate) => candidate.kind === 'input'
+      && candidate.inputType === 'button'
+      && candidate.channel === input);
+    const accessory = descriptor ? this.accessories.get(descriptor.uuid) : null;
+    const service = accessory ? accessory.getService(this.Service.StatelessProgrammableSwitch) : null;
 
-      state.saturation = targetSaturation;
+    if (service) {
+      service.updateCharacteristic(this.Characteristic.ProgrammableSwitchEvent, value);
+    }
+  }
 
-      if (!state.on) {
-        return;
+  startPolling() {
+    for (const device of this.devices.values()) {
+      if (!device.pollTimer) {
+        this.schedulePoll(device, device.pollIntervalMs);
       }
-
-      const params = this.buildColorSetParams(kind, state, true);
-      await device.client.call(profileToMethod(kind), params);
-      this.pushStateToHomeKit(accessory, state);
-    });
+    }
   }
 
-  buildColorSetParams(kind, state, on) {
-    const brightness = Math.max(1, clampPercent(state.brightness || 100));
-    const hue = clampHue(state.hue);
-    const saturation = clampPercent(state.saturation);
+  schedulePoll(device, delayMs) {
+    const timer = setTimeout(async () => {
+      if (!this.isPushConnected(device)) {
+        await this.pollDevice(device);
+      }
 
-    if (kind === 'rgbw' && saturation <= 1) {
-      return {
-        id: 0,
-        on,
-        brightness,
-        rgb: [0, 0, 0],
-        white: percentToByte(brightness),
-      };
+      if (device.pollTimer === timer) {
+        this.schedulePoll(device, Math.max(device.pollIntervalMs, device.retryAt - Date.now()));
+      }
+    }, delayMs);
+
+    if (typeof timer.unref === 'function') {
+      timer.unref();
     }
 
-    const rgb = hsvToRgb(hue, saturation, brightness);
+    device.pollTimer = timer;
+  }
 
-    if (kind === 'rgbw') {
-      return {
-        id: 0,
-        on,
-        brightness,
-        rgb,
-        white: 0,
-      };
+  stopPolling(device) {
+    if (device.pollTimer) {
+      clearTimeout(device.pollTimer);
+      device.pollTimer = null;
     }
-
-    return {
-      id: 0,
-      on,
-      brightness,
-      rgb,
-    };
   }
 
-  enqueueAccessoryCommand(accessory, task) {
-    const key = accessory.UUID;
-    const previous = this.commandQueues.get(key) || Promise.resolve();
+  async pollDevice(device) {
+    if (device.profileSwitch) {
+      return;
+    }
 
-    const next = previous
-      .catch(() => undefined)
-      .then(task)
-      .finally(() => {
-        if (this.commandQueues.get(key) === next) {
-          this.commandQueues.delete(key);
-        }
-      });
+    let status;
 
-    this.commandQueues.set(key, next);
-    return next;
-  }
+    try {
+      status = await device.client.getStatus();
+    } catch (error) {
+      this.recordDeviceFailure(device, error);
+      return;
+    }
 
-  async runAccessoryWrite(accessory, action, task) {
     try {
-      await this.enqueueAccessoryCommand(accessory, task);
+      await this.handleDeviceResponse(device, status);
     } catch (error) {
-      this.log.warn('Failed to set %s for %s: %s', action, accessory.displayName, error.message);
-      throw this.toHapStatusError(error);
+      this.log.warn('Polling failed for %s: %s', device.host, error.message);
     }
   }
 
-  toHapStatusError(error) {
-    if (error && error instanceof this.api.hap.HapStatusError) {
-      return error;
+  async handleDeviceResponse(device, status) {
+    const wasOffline = device.offline;
+
+    device.failures = 0;
+    device.offline = false;
+    device.retryAt = 0;
+
+    if (device.updatingUntil && (device.updateRestarted || device.updatingUntil <= Date.now())) {
+      await this.finishFirmwareUpdate(device, status);
+      return;
     }
 
-    return new this.api.hap.HapStatusError(this.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    if (!wasOffline) {
+      await this.applyDeviceStatus(device, status);
+      return;
+    }
+
+    // The device may have been reconfigured or updated while it was away.
+    this.log.info('Shelly %s is back online.', device.host);
+    await this.refreshDeviceTopology(device, { cachedStatus: status });
   }
 
-  updateAccessoryStates(host, status) {
-    for (const accessory of this.accessories.values()) {
-      if (this.getAccessoryHost(accessory) !== host) {
-        continue;
-      }
+  recordDeviceFailure(device, error) {
+    // The device restarts while it installs a firmware update.
+    if (device.updatingUntil > Date.now()) {
+      device.updateRestarted = true;
+      this.log.debug('Shelly %s is installing a firmware update: %s', device.host, error.message);
+      return;
+    }
 
-      const kind = accessory.context.kind;
+    device.failures++;
 
-      if (kind === 'light') {
-        const channel = accessory.context.channel;
-        const lightStatus = status[`light:${channel}`];
+    if (device.failures < OFFLINE_AFTER_FAILURES) {
+      this.log.warn('Polling failed for %s: %s', device.host, error.message);
+      return;
+    }
 
-        if (!lightStatus) {
-          continue;
-        }
+    const backoff = device.pollIntervalMs * 2 ** (device.failures - OFFLINE_AFTER_FAILURES);
+    device.retryAt = Date.now() + Math.min(MAX_POLL_BACKOFF_MS, backoff);
 
-        this.pushStateToHomeKit(accessory, normalizeLightStatus(lightStatus));
-        continue;
-      }
+    if (device.offline) {
+      this.log.debug('Shelly %s is still offline: %s', device.host, error.message);
+      return;
+    }
 
-      if (kind === 'rgb') {
-        const rgbStatus = status['rgb:0'];
+    device.offline = true;
+    this.log.warn('Shelly %s is not responding after %d attempts. Showing it as offline and polling less often.', device.host, device.failures);
+  }
 
-        if (!rgbStatus) {
+  startUpdateChecks() {
+    const check = () => {
+      for (const device of this.devices.values()) {
+        if (!device.discovered || device.offline || device.updatingUntil) {
           continue;
         }
 
-        this.pushStateToHomeKit(accessory, normalizeRgbStatus(rgbStatus));
-        continue;
+        this.checkForUpdate(device).catch((error) => {
+          this.log.warn('Firmware update check failed for %s: %s', device.host, error.message);
+        });
       }
+    };
 
-      if (kind === 'rgbw') {
-        const rgbwStatus = status['rgbw:0'];
-
-        if (!rgbwStatus) {
-          continue;
-        }
+    check();
+    this.updateTimer = setInterval(check, this.updateCheckMs);
 
-        this.pushStateToHomeKit(accessory, normalizeRgbwStatus(rgbwStatus));
-      }
+    if (typeof this.updateTimer.unref === 'function') {
+      this.updateTimer.unref();
     }
   }
 
-  pushStateToHomeKit(accessory, nextState) {
-    const state = Object.assign(this.getState(accessory), nextState);
-    const service = accessory.getService(this.Service.Lightbulb);
+  async checkForUpdate(device) {
+    const result = await device.client.call('Shelly.CheckForUpdate', {});
+    const available = {};
 
-    if (!service) {
-      return;
-    }
+    for (const stage of UPDATE_STAGES) {
+      const version = result && result[stage] ? result[stage].version : null;
 
-    service.updateCharacteristic(this.Characteristic.On, state.on);
-    service.updateCharacteristic(this.Characteristic.Brightness, state.brightness);
+      if (!version) {
+        continue;
+      }
 
-    if (accessory.context.kind === 'light') {
-      return;
-    }
+      available[stage] = String(version);
 
-    if (service.testCharacteristic(this.Characteristic.Hue)) {
-      service.updateCharacteristic(this.Characteristic.Hue, state.hue);
+      if (device.availableUpdates[stage] !== available[stage]) {
+        this.log.info(
+          'Shelly %s: %s firmware %s is available (installed: %s).',
+          device.host,
+          stage,
+          available[stage],
+          device.deviceInfo.ver || 'unknown',
+        );
+      }
     }
 
-    if (service.testCharacteristic(this.Characteristic.Saturation)) {
-      service.updateCharacteristic(this.Characteristic.Saturation, state.saturation);
-    }
+    device.availableUpdates = available;
+    return available;
   }
-}
 
-class ShellyRpcClient {
-  constructor(host) {
-    this.requestId = 1;
-    this.timeoutMs = 4000;
+  async setFirmwareUpdate(accessory, service, device, value) {
+    if (!value || device.updatingUntil) {
+      // The switch only shows a running update and cannot stop it.
+      setImmediate(() => {
+        service.updateCharacteristic(this.Characteristic.On, Boolean(device.updatingUntil));
+      });
+      return;
+    }
 
-    const base = host.startsWith('http://') || host.startsWith('https://')
-      ? host
-      : `http://${host}`;
+    try {
+      const available = await this.checkForUpdate(device);
+      const version = available[device.updateStage];
 
-    this.url = `${base.replace(/\/+$/, '')}/rpc`;
+      if (!version) {
+        this.log.info('Shelly %s has no %s firmware update.', device.host, device.updateStage);
+        setImmediate(() => {
+          service.updateCharacteristic(this.Characteristic.On, false);
+        });
+        return;
+      }
+
+      this.log.info('Updating Shelly %s to %s firmware %s. The device restarts.', device.host, device.updateStage, version);
+      device.updatingUntil = Date.now() + UPDATE_RESTART_TIMEOUT_MS;
+      device.updateRestarted = false;
+      await device.client.call('Shelly.Update', { stage: device.updateStage });
+    } catch (error) {
+      device.updatingUntil = 0;
+      this.log.warn('Failed to start the firmware update for %s: %s', accessory.displayName, error.message);
+      throw this.toHapStatusError(error);
+    }
   }
 
-  async getStatus() {
-    return this.call('Shelly.GetStatus');
+  async finishFirmwareUpdate(device, status) {
+    const previousVersion = device.deviceInfo.ver;
+
+    device.updatingUntil = 0;
+    device.updateRestarted = false;
+    await this.refreshDeviceTopology(device, { cachedStatus: status });
+    this.updateFirmwareSwitch(device);
+
+    if (device.deviceInfo.ver && device.deviceInfo.ver !== previousVersion) {
+      this.log.info('Shelly %s now runs firmware %s.', device.host, device.deviceInfo.ver);
+      device.availableUpdates = {};
+      return;
+    }
+
+    this.log.warn('Shelly %s still runs firmware %s after the update.', device.host, previousVersion || 'unknown');
   }
 
-  async getDeviceInfo() {
-    return this.call('Shelly.GetDeviceInfo');
+  updateFirmwareSwitch(device) {
+    const descriptor = device.descriptors.find((candidate) => candidate.kind === 'update');
+    const accessory = descriptor ? this.accessories.get(descriptor.uuid) : null;
+    const service = accessory ? accessory.getService(this.Service.Switch) : null;
+
+    if (service) {
+      service.updateCharacteristic(this.Characteristic.On, Boolean(device.updatingUntil));
+    }
   }
 
-  async call(method, params) {
-    if (typeof fetch !== 'function') {
-      throw new Error('Global fetch is not available. Use Node.js 18+ for this plugin.');
+  assertDeviceOnline(device) {
+    if (device && device.offline) {
+      throw new this.api.hap.HapStatusError(this.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
+  }
 
-    const payload = {
-      id: this.requestId++,
-      src: 'homebridge',
-      method,
-    };
+  async applyDeviceStatus(device, status) {
+    const nextProfile = determineProfile(status, null);
 
-    if (params && Object.keys(params).length > 0) {
-      payload.params = params;
+    if (nextProfile !== device.profile) {
+      this.log.info(
+        'Shelly %s profile changed from %s to %s. Rebuilding accessories.',
+        device.host,
+        device.profile || 'unknown',
+        nextProfile,
+      );
+      await this.refreshDeviceTopology(device, { cachedStatus: status });
+      return;
     }
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+    device.status = status;
+    this.updateAccessoryStates(device.host, status);
+  }
 
-    let response;
+  async refreshTopology() {
+    const statusesByHost = new Map();
+    const devices = Array.from(this.devices.values());
 
-    try {
-      response = await fetch(this.url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal,
-      });
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Request timeout calling ${method}`);
+    await Promise.all(devices.map(async (device) => {
+      try {
+        const status = await this.refreshDeviceTopology(device, { sync: false });
+        statusesByHost.set(device.host, status);
+      } catch (error) {
+        this.log.warn('Shelly discovery failed for %s: %s', device.host, error.message);
+      }
+    }));
+
+    this.syncAccessories(this.collectDiscoveredDescriptors());
+
+    for (const [host, status] of statusesByHost.entries()) {
+      this.updateAccessoryStates(host, status);
+    }
+
+    if (devices.length && !statusesByHost.size) {
+      throw new Error('Could not discover any configured Shelly devices.');
+    }
+  }
+
+  async refreshDeviceTopology(device, options = {}) {
+    const { cachedStatus, sync = true, profileSwitched = false } = options;
+    const [status, deviceInfo] = await Promise.all([
+      cachedStatus ? Promise.resolve(cachedStatus) : device.client.getStatus(),
+      device.client.getDeviceInfo().catch((error) => {
+        this.log.warn('Shelly.GetDeviceInfo failed for %s: %s', device.host, error.message);
+        return {};
+      }),
+    ]);
+
+    device.deviceInfo = deviceInfo || {};
+    device.deviceId = device.deviceInfo.id ? String(device.deviceInfo.id).toLowerCase() : device.deviceId;
+    device.identity = normalizeMac(device.deviceInfo.mac || (status.sys && status.sys.mac)) || device.identity;
+    device.status = status;
+    device.profile = determineProfile(status, device.deviceInfo.profile);
+
+    if (device.profileSetting && device.profile !== device.profileSetting) {
+      if (profileSwitched) {
+        this.log.warn('Shelly %s is in %s profile instead of %s.', device.host, device.profile, device.profileSetting);
+      } else if (this.startProfileSwitch(device)) {
+        return status;
       }
+    }
 
-      throw new Error(`Network error calling ${method}: ${error.message}`);
-    } finally {
-      clearTimeout(timeout);
+    device.profileChecked = true;
+    device.descriptors = this.buildAccessoryDescriptors(device);
+    device.discovered = true;
+
+    if (this.webhookServer) {
+      this.syncWebhooks(device).catch((error) => {
+        this.log.warn('Webhook setup failed for %s: %s', device.host, error.message);
+      });
     }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status} ${response.statusText} calling ${method}`);
+    this.reconcileDeviceConfig(device).catch((error) => {
+      this.log.warn('Config check failed for %s: %s', device.host, error.message);
+    });
+
+    if (!device.autoDiscovered) {
+      this.replaceAutoDiscoveredDevice(device);
     }
 
-    let body;
+    if (sync) {
+      this.syncAccessories(this.collectDiscoveredDescriptors());
+      this.updateAccessoryStates(device.host, status);
+    }
+
+    return status;
+  }
+
+  startProfileSwitch(device) {
+    if (device.profileSwitch) {
+      return true;
+    }
+
+    // The configured profile is applied at startup. A later change made on
+    // the device is only reverted when the user opted in.
+    if (device.profileChecked && !device.enforceProfile) {
+      this.log.warn(
+        'Shelly %s was switched to %s profile, but %s is configured. Keeping %s until the next restart.',
+        device.host,
+        device.profile,
+        device.profileSetting,
+        device.profile,
+      );
+      return false;
+    }
+
+    // The restart can take a while, so startup and the other devices do not
+    // wait for it. The cached accessories of this device stay until it is back.
+    device.profileSwitch = this.switchProfile(device)
+      .then(() => this.refreshDeviceTopology(device, { profileSwitched: true }))
+      .catch((error) => {
+        this.log.warn('Shelly discovery failed for %s: %s', device.host, error.message);
+      })
+      .finally(() => {
+        device.profileSwitch = null;
+      });
+
+    return true;
+  }
+
+  async switchProfile(device) {
+    this.log.info('Switching Shelly %s from %s to %s profile. The device restarts.', device.host, device.profile, device.profileSetting);
 
     try {
-      body = await response.json();
+      const result = await device.client.call('Shelly.SetProfile', { name: device.profileSetting });
+
+      if (!result || result.restart_required !== false) {
+        await device.client.call('Shelly.Reboot', {});
+      }
     } catch (error) {
-      throw new Error(`Invalid JSON received from ${method}`);
+      this.log.warn('Could not switch Shelly %s to %s profile: %s', device.host, device.profileSetting, error.message);
+      return false;
     }
 
-    if (body && body.error) {
-      const message = body.error.message || JSON.stringify(body.error);
-      throw new Error(`Shelly RPC error for ${method}: ${message}`);
+    await this.waitForProfile(device);
+    return true;
+  }
+
+  async waitForProfile(device) {
+    const deadline = Date.now() + PROFILE_SWITCH_TIMEOUT_MS;
+
+    await delay(PROFILE_REBOOT_DELAY_MS);
+
+    while (Date.now() < deadline) {
+      try {
+        const status = await device.client.getStatus();
+
+        if (determineProfile(status, null) === device.profileSetting) {
+          return;
+        }
+      } catch (error) {
+        // Still restarting.
+      }
+
+      await delay(PROFILE_REBOOT_DELAY_MS);
     }
 
-    if (body && Object.prototype.hasOwnProperty.call(body, 'result')) {
-      return body.result;
+    this.log.warn('Shelly %s did not come back in %s profile within %d seconds.', device.host, device.profileSetting, PROFILE_SWITCH_TIMEOUT_MS / 1000);
+  }
+
+  async reconcileDeviceConfig(device) {
+    // In rgb/rgbw profile, output O1 stands for the whole light.
+    const component = PROFILE_COMPONENTS[device.profile];
+    const channels = device.profile === 'light' ? LIGHT_CHANNELS : [0];
+
+    for (const channel of channels) {
+      // Both outputs of a tunable white pair use the settings of its warm output.
+      const pair = device.profile === 'light' ? device.cctPairs.find((candidate) => candidate.cold === channel) : null;
+      const wanted = device.channelSettings[pair ? pair.warm : channel].deviceConfig;
+
+      if (!wanted) {
+        continue;
+      }
+
+      const current = await device.client.call(`${component}.GetConfig`, { id: channel });
+      const drifts = diffConfig(wanted, current || {});
+
+      if (!drifts.length) {
+        continue;
+      }
+
+      for (const drift of drifts) {
+        this.log.info(
+          'Shelly %s %s:%d %s is %s, setting it to %s.',
+          device.host,
+          component.toLowerCase(),
+          channel,
+          drift.path,
+          JSON.stringify(drift.current),
+          JSON.stringify(drift.wanted),
+        );
+      }
+
+      await device.client.call(`${component}.SetConfig`, { id: channel, config: wanted });
     }
+  }
 
-    if (body && Object.prototype.hasOwnProperty.call(body, 'params')) {
-      return body.params;
+  replaceAutoDiscoveredDevice(device) {
+    for (const other of this.devices.values()) {
+      if (other !== device && other.autoDiscovered && other.deviceId && other.deviceId === device.deviceId) {
+        this.log.info('Shelly %s is configured manually. Dropping the discovered entry for %s.', device.deviceId, other.host);
+        this.removeDevice(other);
+      }
     }
+  }
 
-    return body;
+  collectDiscoveredDescriptors() {
+    const descriptors = [];
+
+    for (const device of this.devices.values()) {
+      if (!device.discovered) {
+        continue;
+      }
+
+      descriptors.push(...device.descriptors);
+    }
+
+    return descriptors;
   }
-}
 
-function determineProfile(status, profileHint) {
-  const hint = normalizeProfile(profileHint);
+  buildAccessoryDescriptors(device) {
+    const discovery = device.autoDiscovered
+      ? { id: device.deviceId, name: device.displayName }
+      : null;
+
+    const descriptors = [
+      ...this.buildLightDescriptors(device, discovery),
+      ...this.buildInputDescriptors(device, discovery),
+      ...this.buildPresetDescriptors(device, discovery),
+      ...this.buildEffectDescriptors(device, discovery),
+      ...this.buildUpdateDescriptors(device, discovery),
+    ];
+
+    for (const descriptor of descriptors) {
+      descriptor.identity = device.identity;
+      descriptor.uuid = this.resolveAccessoryUuid(device, descriptor.key);
+    }
+
+    this.adoptReplacedLights(device, descriptors);
+    return descriptors;
+  }
+
+  adoptReplacedLights(device, descriptors) {
+    // After a profile or pairing change, a new light takes over the accessory
+    // of the light it replaces on the same output, so HomeKit keeps its name,
+    // room and automations.
+    const used = new Set(descriptors.map((descriptor) => descriptor.uuid));
+
+    for (const descriptor of descriptors) {
+      if (!LIGHT_KINDS.includes(descriptor.kind) || this.accessories.has(descriptor.uuid)) {
+        continue;
+      }
+
+      const replaced = Array.from(this.accessories.values()).find((accessory) => !used.has(accessory.UUID)
+        && LIGHT_KINDS.includes(accessory.context.kind)
+        && accessory.context.channel === descriptor.channel
+        && (accessory.context.identity ? accessory.context.identity === device.identity : accessory.context.host === device.host));
+
+      if (replaced) {
+        used.add(replaced.UUID);
+        descriptor.uuid = replaced.UUID;
+        descriptor.adopted = true;
+      }
+    }
+  }
+
+  resolveAccessoryUuid(device, key) {
+    // Accessories are keyed on the device MAC, so a new IP address or host
+    // name keeps them. Accessories cached before that keep their host-based
+    // UUID, because a new UUID would drop their rooms and automations.
+    if (device.identity) {
+      for (const accessory of this.accessories.values()) {
+        if (accessory.context.identity === device.identity && accessory.context.key === key) {
+          return accessory.UUID;
+        }
+      }
+    }
+
+    const legacyUuid = this.api.hap.uuid.generate(`${device.host}|${key}`);
+    const legacy = this.accessories.get(legacyUuid);
+
+    if (legacy && (!legacy.context.identity || legacy.context.identity === device.identity)) {
+      return legacyUuid;
+    }
+
+    const moved = this.findMovedLegacyAccessory(device, key);
+
+    if (moved) {
+      return moved.UUID;
+    }
+
+    if (!device.identity) {
+      return legacyUuid;
+    }
+
+    return this.api.hap.uuid.generate(`${device.identity}|${key}`);
+  }
+
+  findMovedLegacyAccessory(device, key) {
+    // An accessory cached before that under a former host only knows the MAC
+    // in its serial number, or the device ID if it was discovered.
+    for (const accessory of this.accessories.values()) {
+      const { host, identity, discovery } = accessory.context;
+
+      if (identity || !host || host === device.host || accessory.UUID !== this.api.hap.uuid.generate(`${host}|${key}`)) {
+        continue;
+      }
+
+      const information = accessory.getService(this.Service.AccessoryInformation);
+      const serial = information ? normalizeMac(information.getCharacteristic(this.Characteristic.SerialNumber).value) : null;
+
+      if ((device.identity && serial === device.identity) || (discovery && device.deviceId && discovery.id === device.deviceId)) {
+        return accessory;
+      }
+    }
+
+    return null;
+  }
+
+  buildLightDescriptors(device, discovery) {
+    const { host, profile, displayName, showDimmers } = device;
+
+    if (profile === 'light') {
+      const descriptors = [];
+      const pairedChannels = new Set();
+
+      for (const pair of device.cctPairs) {
+        pairedChannels.add(pair.warm);
+        pairedChannels.add(pair.cold);
+
+        descriptors.push({
+          host,
+          kind: 'cct',
+          channel: pair.warm,
+          name: pair.name || `${displayName} Tunable White ${pair.warm + 1}/${pair.cold + 1}`,
+          discovery,
+          key: `cct|${pair.warm}|${pair.cold}`,
+        });
+      }
+
+      for (let channel = 0; channel < 4; channel++) {
+        if (!showDimmers[channel] || pairedChannels.has(channel)) {
+          continue;
+        }
+
+        const name = `${displayName} Dimmer ${channel + 1}`;
+        descriptors.push({
+          host,
+          kind: 'light',
+          channel,
+          name,
+          discovery,
+          key: `light|${channel}`,
+        });
+      }
+
+      if (!descriptors.length) {
+        this.log.warn('Shelly %s is in light profile but all dimmer checkboxes are disabled.', host);
+      }
+
+      return descriptors;
+    }
+
+    return [{
+      host,
+      kind: profile,
+      channel: 0,
+      name: displayName,
+      discovery,
+      key: `${profile}|0`,
+    }];
+  }
+
+  buildInputDescriptors(device, discovery) {
+    const { host, displayName } = device;
+    const status = device.status || {};
+    const descriptors = [];
+
+    for (const input of device.inputs) {
+      if (!status[`input:${input.input}`]) {
+        this.log.warn('Shelly %s has no input %d in its current profile. Skipping it.', host, input.input + 1);
+        continue;
+      }
+
+      descriptors.push({
+        host,
+        kind: 'input',
+        channel: input.input,
+        inputType: input.type,
+        category: this.api.hap.Categories[INPUT_CATEGORIES[input.type]],
+        name: input.name || `${displayName} Input ${input.input + 1}`,
+        discovery,
+        key: `input|${input.input}|${input.type}`,
+      });
+    }
+
+    return descriptors;
+  }
+
+  buildPresetDescriptors(device, discovery) {
+    if (!device.presets.length) {
+      return [];
+    }
+
+    return [{
+      host: device.host,
+      kind: 'presets',
+      channel: 0,
+      category: this.api.hap.Categories.SWITCH,
+      name: `${device.displayName} Presets`,
+      discovery,
+      key: 'presets',
+    }];
+  }
+
+  buildEffectDescriptors(device, discovery) {
+    if (!device.effects.length) {
+      return [];
+    }
+
+    return [{
+      host: device.host,
+      kind: 'effects',
+      channel: 0,
+      category: this.api.hap.Categories.SWITCH,
+      name: `${device.displayName} Effects`,
+      discovery,
+      key: 'effects',
+    }];
+  }
+
+  buildUpdateDescriptors(device, discovery) {
+    if (!device.showUpdateSwitch) {
+      return [];
+    }
+
+    return [{
+      host: device.host,
+      kind: 'update',
+      channel: 0,
+      category: this.api.hap.Categories.SWITCH,
+      name: `${device.displayName} Firmware Update`,
+      discovery,
+      key: 'update',
+    }];
+  }
+
+  parseCctPairs(config, host) {
+    const pairs = [];
+    const used = new Set();
+    const configuredPairs = Array.isArray(config.cctPairs) ? config.cctPairs : [];
+
+    configuredPairs.forEach((pairConfig, index) => {
+      const warm = Number(pairConfig && pairConfig.warmChannel) - 1;
+      const cold = Number(pairConfig && pairConfig.coldChannel) - 1;
+      const valid = [warm, cold].every((channel) => Number.isInteger(channel) && channel >= 0 && channel < 4);
+
+      if (!valid || warm === cold || used.has(warm) || used.has(cold)) {
+        this.log.warn('Ignoring cctPairs[%d] for %s because its channels are invalid or already paired.', index, host);
+        return;
+      }
+
+      used.add(warm);
+      used.add(cold);
+
+      const warmMired = clampMired(1000000 / clampKelvin(pairConfig.warmTemperature, 2700));
+      const coldMired = clampMired(1000000 / clampKelvin(pairConfig.coldTemperature, 6500));
+
+      if (warmMired <= coldMired) {
+        this.log.warn('Ignoring cctPairs[%d] for %s because the warm channel is not warmer than the cold one.', index, host);
+        used.delete(warm);
+        used.delete(cold);
+        return;
+      }
+
+      pairs.push({
+        warm,
+        cold,
+        name: normalizeName(pairConfig.name),
+        warmMired,
+        coldMired,
+      });
+    });
+
+    return pairs;
+  }
+
+  parseChannelSettings(config, host) {
+    const settings = [{}, {}, {}, {}];
+    const configuredChannels = Array.isArray(config.channels) ? config.channels : [];
+
+    configuredChannels.forEach((channelConfig, index) => {
+      const channel = Number(channelConfig && channelConfig.channel) - 1;
+
+      if (!Number.isInteger(channel) || channel < 0 || channel > 3) {
+        this.log.warn('Ignoring channels[%d] for %s because its output number is invalid.', index, host);
+        return;
+      }
+
+      settings[channel] = {
+        transitions: parseTransitions(channelConfig),
+        dimming: this.parseDimming(channelConfig, host, index),
+        deviceConfig: this.parseOutputConfig(channelConfig, host, index),
+      };
+    });
+
+    return settings;
+  }
+
+  parseOutputConfig(config, host, index) {
+    const deviceConfig = {};
+    const readSeconds = (key) => {
+      if (config[key] === undefined || config[key] === null || config[key] === '') {
+        return null;
+      }
+
+      const value = Number(config[key]);
+
+      if (!Number.isFinite(value) || value < 0) {
+        this.log.warn('Ignoring %s of channels[%d] for %s because it is not a number of seconds.', key, index, host);
+        return null;
+      }
+
+      return value;
+    };
+
+    if (INITIAL_STATES.includes(config.initialState)) {
+      deviceConfig.initial_state = config.initialState;
+    }
+
+    for (const [flag, delayKey, target] of [['autoOn', 'autoOnDelay', 'auto_on'], ['autoOff', 'autoOffDelay', 'auto_off']]) {
+      if (typeof config[flag] === 'boolean') {
+        deviceConfig[target] = config[flag];
+      }
+
+      const delaySeconds = readSeconds(delayKey);
+
+      if (delaySeconds !== null) {
+        deviceConfig[`${target}_delay`] = delaySeconds;
+      }
+    }
+
+    if (config.defaultBrightness !== undefined) {
+      deviceConfig.default = { brightness: Math.max(1, clampPercent(config.defaultBrightness)) };
+    }
+
+    const nightMode = {};
+
+    if (typeof config.nightMode === 'boolean') {
+      nightMode.enable = config.nightMode;
+    }
+
+    if (config.nightModeBrightness !== undefined) {
+      nightMode.brightness = Math.max(1, clampPercent(config.nightModeBrightness));
+    }
+
+    if (config.nightModeStart !== undefined || config.nightModeEnd !== undefined) {
+      const times = [config.nightModeStart, config.nightModeEnd].map(normalizeTime);
+
+      if (times.every(Boolean)) {
+        nightMode.active_between = times;
+      } else {
+        this.log.warn('Ignoring the night mode times of channels[%d] for %s because they are not both HH:MM.', index, host);
+      }
+    }
+
+    if (Object.keys(nightMode).length) {
+      deviceConfig.night_mode = nightMode;
+    }
+
+    return Object.keys(deviceConfig).length ? deviceConfig : null;
+  }
+
+  parseDimming(config, host, index) {
+    const min = config.minBrightness === undefined ? 1 : Math.max(1, clampPercent(config.minBrightness));
+    const max = config.maxBrightness === undefined ? 100 : Math.max(1, clampPercent(config.maxBrightness));
+    let curve = DIMMING_CURVES.includes(config.dimmingCurve) ? config.dimmingCurve : 'linear';
+    let points = null;
+
+    if (min >= max) {
+      this.log.warn('Ignoring the brightness range of channels[%d] for %s because the minimum is not below the maximum.', index, host);
+      return null;
+    }
+
+    if (curve === 'custom') {
+      points = parseDimmingPoints(config.dimmingPoints);
+
+      if (!points) {
+        this.log.warn('Using a linear curve for channels[%d] of %s because its curve points are missing or not rising.', index, host);
+        curve = 'linear';
+      }
+    }
+
+    if (min === 1 && max === 100 && curve === 'linear') {
+      return null;
+    }
+
+    return { min, max, curve, points };
+  }
+
+  parseInputs(config, host) {
+    const inputs = [];
+    const used = new Set();
+    const configuredInputs = Array.isArray(config.inputs) ? config.inputs : [];
+
+    configuredInputs.forEach((inputConfig, index) => {
+      const input = Number(inputConfig && inputConfig.input) - 1;
+      const type = inputConfig && inputConfig.type;
+
+      if (!Number.isInteger(input) || input < 0 || input > 3 || used.has(input)) {
+        this.log.warn('Ignoring inputs[%d] for %s because its input number is invalid or already used.', index, host);
+        return;
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(INPUT_CATEGORIES, type)) {
+        this.log.warn('Ignoring inputs[%d] for %s because its type is not button, contact or switch.', index, host);
+        return;
+      }
+
+      if (type === 'button' && !this.useWebSocket) {
+        this.log.warn('Button presses on input %d of %s are only delivered over WebSocket. Enable useWebSocket to use them.', input + 1, host);
+      }
+
+      used.add(input);
+      inputs.push({
+        input,
+        type,
+        name: normalizeName(inputConfig.name),
+      });
+    });
+
+    return inputs;
+  }
+
+  parsePresets(config, host) {
+    const presets = [];
+    const configuredPresets = Array.isArray(config.presets) ? config.presets : [];
+
+    configuredPresets.forEach((presetConfig, index) => {
+      const preset = parsePreset(presetConfig);
+
+      if (!preset) {
+        this.log.warn('Ignoring presets[%d] for %s because it has no name or no values.', index, host);
+        return;
+      }
+
+      presets.push(preset);
+    });
+
+    return presets;
+  }
+
+  parseEffects(config, host) {
+    const effects = [];
+    const configuredEffects = Array.isArray(config.effects) ? config.effects : [];
+
+    configuredEffects.forEach((effectConfig, index) => {
+      const name = normalizeName(effectConfig && effectConfig.name);
+      const type = effectConfig && effectConfig.type;
+
+      if (!name || !Object.prototype.hasOwnProperty.call(EFFECT_TYPES, type)) {
+        this.log.warn('Ignoring effects[%d] for %s because its name or type is missing or invalid.', index, host);
+        return;
+      }
+
+      const speed = Number(effectConfig.speed);
+
+      effects.push({
+        name,
+        type,
+        speed: Number.isFinite(speed) && speed > 0 ? Math.max(0.1, speed) : EFFECT_TYPES[type].speed,
+        palette: parsePalette(effectConfig.palette),
+      });
+    });
+
+    return effects;
+  }
+
+  isDimmerEnabled(config, channel) {
+    const key = `showDimmer${channel + 1}`;
+    return !config || config[key] !== false;
+  }
+
+  inferHostFromUuid(uuid) {
+    for (const [host, device] of this.devices.entries()) {
+      for (let channel = 0; channel < 4; channel++) {
+        if (uuid === this.api.hap.uuid.generate(`${host}|light|${channel}`)) {
+          return host;
+        }
+      }
+
+      for (const pair of device.cctPairs) {
+        if (uuid === this.api.hap.uuid.generate(`${host}|cct|${pair.warm}|${pair.cold}`)) {
+          return host;
+        }
+      }
+
+      for (const input of device.inputs) {
+        if (uuid === this.api.hap.uuid.generate(`${host}|input|${input.input}|${input.type}`)) {
+          return host;
+        }
+      }
+
+      if (uuid === this.api.hap.uuid.generate(`${host}|presets`)) {
+        return host;
+      }
+
+      if (uuid === this.api.hap.uuid.generate(`${host}|effects`)) {
+        return host;
+      }
+
+      if (uuid === this.api.hap.uuid.generate(`${host}|rgb|0`)) {
+        return host;
+      }
+
+      if (uuid === this.api.hap.uuid.generate(`${host}|rgbw|0`)) {
+        return host;
+      }
+    }
+
+    return '';
+  }
+
+  getAccessoryHost(accessory) {
+    const contextHost = sanitizeHost(accessory.context ? accessory.context.host : '');
+
+    if (contextHost) {
+      return contextHost;
+    }
+
+    const inferredHost = this.inferHostFromUuid(accessory.UUID);
+
+    if (inferredHost) {
+      accessory.context.host = inferredHost;
+      return inferredHost;
+    }
+
+    return '';
+  }
+
+  getAccessoryDevice(accessory) {
+    const host = this.getAccessoryHost(accessory);
+
+    if (!host) {
+      throw new Error('Accessory host is missing from cached context.');
+    }
+
+    const device = this.devices.get(host);
+
+    if (!device) {
+      throw new Error(`Shelly host ${host} is not configured.`);
+    }
+
+    return device;
+  }
+
+  syncAccessories(descriptors) {
+    const wanted = new Map(descriptors.map((descriptor) => [descriptor.uuid, descriptor]));
+    const removedHosts = new Map();
+    const unreached = Array.from(this.devices.values()).some((device) => !device.discovered);
+
+    for (const [uuid, accessory] of this.accessories.entries()) {
+      if (wanted.has(uuid)) {
+        continue;
+      }
+
+      const host = this.getAccessoryHost(accessory);
+      const device = host ? this.devices.get(host) : null;
+
+      if (device && !device.discovered) {
+        continue;
+      }
+
+      // A device that was not reached yet may be this one under a new address.
+      if (!device && (accessory.context.identity || !accessory.context.key) && unreached) {
+        continue;
+      }
+
+      if (host && !device) {
+        removedHosts.set(host, accessory.context.identity);
+      }
+
+      this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+      this.accessories.delete(uuid);
+      this.commandQueues.delete(uuid);
+      this.removeHistory(uuid);
+      this.adaptiveLightingControllers.delete(uuid);
+      this.log.info('Removed accessory: %s', accessory.displayName);
+    }
+
+    if (this.webhooks) {
+      for (const [host, identity] of removedHosts) {
+        this.removeWebhooks(host, identity);
+      }
+    }
+
+    for (const descriptor of descriptors) {
+      const existing = this.accessories.get(descriptor.uuid);
+
+      if (existing) {
+        if (existing.context.kind !== descriptor.kind) {
+          existing.context.state = defaultState(descriptor.kind);
+        }
+
+        existing.context.host = descriptor.host;
+        existing.context.kind = descriptor.kind;
+        existing.context.channel = descriptor.channel;
+        existing.context.inputType = descriptor.inputType;
+        existing.context.identity = descriptor.identity;
+        existing.context.key = descriptor.key;
+        existing.context.discovery = descriptor.discovery;
+        existing.context.state = existing.context.state || {};
+
+        // An adopted accessory keeps the name it had, which may have been
+        // chosen by the user, until the configured name changes.
+        if (!descriptor.adopted && existing.context.configuredName !== descriptor.name) {
+          existing.displayName = descriptor.name;
+        }
+
+        existing.context.configuredName = descriptor.name;
+
+        this.configureShellyAccessory(existing);
+        this.api.updatePlatformAccessories([existing]);
+        continue;
+      }
+
+      const accessory = new this.api.platformAccessory(
+        descriptor.name,
+        descriptor.uuid,
+        descriptor.category || this.api.hap.Categories.LIGHTBULB,
+      );
+
+      accessory.context.host = descriptor.host;
+      accessory.context.kind = descriptor.kind;
+      accessory.context.channel = descriptor.channel;
+      accessory.context.inputType = descriptor.inputType;
+      accessory.context.identity = descriptor.identity;
+      accessory.context.key = descriptor.key;
+      accessory.context.discovery = descriptor.discovery;
+      accessory.context.state = defaultState(descriptor.kind);
+      accessory.context.configuredName = descriptor.name;
+
+      this.configureShellyAccessory(accessory);
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+      this.accessories.set(descriptor.uuid, accessory);
+      this.log.info('Added accessory: %s', descriptor.name);
+    }
+  }
+
+  configureShellyAccessory(accessory) {
+    const host = this.getAccessoryHost(accessory);
+    const device = host ? this.devices.get(host) : null;
+    const deviceInfo = device ? device.deviceInfo : {};
+
+    const information = accessory.getService(this.Service.AccessoryInformation)
+      || accessory.addService(this.Service.AccessoryInformation);
+
+    information
+      .setCharacteristic(this.Characteristic.Manufacturer, 'Shelly')
+      .setCharacteristic(this.Characteristic.Model, deviceInfo.model || 'Shelly Plus RGBW PM')
+      .setCharacteristic(this.Characteristic.SerialNumber, deviceInfo.mac || host || 'unknown')
+      .setCharacteristic(this.Characteristic.FirmwareRevision, deviceInfo.ver || 'unknown');
+
+    if (accessory.context.kind === 'input') {
+      this.configureInputAccessory(accessory);
+      return;
+    }
+
+    if (accessory.context.kind === 'presets') {
+      this.configurePresetAccessory(accessory, device);
+      return;
+    }
+
+    if (accessory.context.kind === 'effects') {
+      this.configureEffectAccessory(accessory, device);
+      return;
+    }
+
+    if (accessory.context.kind === 'update') {
+      this.configureUpdateAccessory(accessory, device);
+      return;
+    }
+
+    const lightService = accessory.getService(this.Service.Lightbulb)
+      || accessory.addService(this.Service.Lightbulb);
+
+    lightService.setCharacteristic(this.Characteristic.Name, accessory.displayName);
+
+    const onCharacteristic = lightService.getCharacteristic(this.Characteristic.On);
+    resetCharacteristicHandlers(onCharacteristic);
+    onCharacteristic.onGet(() => this.getOn(accessory));
+    onCharacteristic.onSet((value) => this.setOn(accessory, value));
+
+    const brightnessCharacteristic = lightService.getCharacteristic(this.Characteristic.Brightness);
+    resetCharacteristicHandlers(brightnessCharacteristic);
+    brightnessCharacteristic.onGet(() => this.getBrightness(accessory));
+    brightnessCharacteristic.onSet((value) => this.setBrightness(accessory, value));
+
+    this.configurePowerCharacteristics(accessory, lightService);
+    this.configureFaultStatus(accessory, lightService);
+    this.configureTemperatureService(accessory, device);
+    this.configureHistoryService(accessory);
+    this.configureTransitionCharacteristic(accessory, lightService, device);
+    this.configureTimerCharacteristics(accessory, lightService, device);
+
+    const kind = accessory.context.kind;
+
+    if (kind === 'light' || kind === 'cct') {
+      if (lightService.testCharacteristic(this.Characteristic.Hue)) {
+        lightService.removeCharacteristic(lightService.getCharacteristic(this.Characteristic.Hue));
+      }
+
+      if (lightService.testCharacteristic(this.Characteristic.Saturation)) {
+        lightService.removeCharacteristic(lightService.getCharacteristic(this.Characteristic.Saturation));
+      }
+    } else {
+      const hueCharacteristic = lightService.getCharacteristic(this.Characteristic.Hue);
+      resetCharacteristicHandlers(hueCharacteristic);
+      hueCharacteristic.onGet(() => this.getHue(accessory));
+      hueCharacteristic.onSet((value) => this.setHue(accessory, value));
+
+      const saturationCharacteristic = lightService.getCharacteristic(this.Characteristic.Saturation);
+      resetCharacteristicHandlers(saturationCharacteristic);
+      saturationCharacteristic.onGet(() => this.getSaturation(accessory));
+      saturationCharacteristic.onSet((value) => this.setSaturation(accessory, value));
+    }
+
+    const range = this.getColorTemperatureRange(accessory);
+
+    if (!range) {
+      this.removeAdaptiveLighting(accessory);
+
+      if (lightService.testCharacteristic(this.Characteristic.ColorTemperature)) {
+        lightService.removeCharacteristic(lightService.getCharacteristic(this.Characteristic.ColorTemperature));
+      }
+
+      return;
+    }
+
+    const colorTemperatureCharacteristic = lightService.getCharacteristic(this.Characteristic.ColorTemperature);
+    resetCharacteristicHandlers(colorTemperatureCharacteristic);
+    colorTemperatureCharacteristic.updateValue(this.clampColorTemperature(accessory, this.getState(accessory).colorTemperature));
+    colorTemperatureCharacteristic.setProps(range);
+    colorTemperatureCharacteristic.onGet(() => this.getColorTemperature(accessory));
+    colorTemperatureCharacteristic.onSet((value) => this.setColorTemperature(accessory, value));
+
+    if (device && device.adaptiveLighting) {
+      this.configureAdaptiveLighting(accessory, lightService);
+    }
+  }
+
+  configureInputAccessory(accessory) {
+    const type = accessory.context.inputType;
+
+    if (type === 'button') {
+      const service = accessory.getService(this.Service.StatelessProgrammableSwitch)
+        || accessory.addService(this.Service.StatelessProgrammableSwitch);
+
+      service.setCharacteristic(this.Characteristic.Name, accessory.displayName);
+      service.getCharacteristic(this.Characteristic.ProgrammableSwitchEvent)
+        .setProps({ validValues: Object.values(INPUT_EVENTS) });
+      return;
+    }
+
+    if (type === 'contact') {
+      const service = accessory.getService(this.Service.ContactSensor)
+        || accessory.addService(this.Service.ContactSensor);
+
+      service.setCharacteristic(this.Characteristic.Name, accessory.displayName);
+
+      const stateCharacteristic = service.getCharacteristic(this.Characteristic.ContactSensorState);
+      resetCharacteristicHandlers(stateCharacteristic);
+      stateCharacteristic.onGet(() => this.getContactSensorState(accessory));
+      return;
+    }
+
+    const service = accessory.getService(this.Service.Switch)
+      || accessory.addService(this.Service.Switch);
+
+    service.setCharacteristic(this.Characteristic.Name, accessory.displayName);
+
+    const onCharacteristic = service.getCharacteristic(this.Characteristic.On);
+    resetCharacteristicHandlers(onCharacteristic);
+    onCharacteristic.setProps({
+      perms: [this.api.hap.Perms.PAIRED_READ, this.api.hap.Perms.NOTIFY],
+    });
+    onCharacteristic.onGet(() => this.getOn(accessory));
+  }
+
+  configurePresetAccessory(accessory, device) {
+    const presets = device ? device.presets : [];
+
+    for (const service of accessory.services.filter((candidate) => candidate.UUID === this.Service.Switch.UUID)) {
+      if (!presets.some((preset, index) => service.subtype === `preset-${index}`)) {
+        accessory.removeService(service);
+      }
+    }
+
+    presets.forEach((preset, index) => {
+      const subtype = `preset-${index}`;
+      const service = accessory.getServiceById(this.Service.Switch, subtype)
+        || accessory.addService(this.Service.Switch, preset.name, subtype);
+
+      service.setCharacteristic(this.Characteristic.Name, preset.name);
+
+      const onCharacteristic = service.getCharacteristic(this.Characteristic.On);
+      resetCharacteristicHandlers(onCharacteristic);
+      onCharacteristic.onGet(() => {
+        this.assertDeviceOnline(device);
+        return this.isPresetActive(device, preset);
+      });
+      onCharacteristic.onSet((value) => this.setPreset(accessory, service, device, preset, value));
+    });
+  }
+
+  configureEffectAccessory(accessory, device) {
+    const effects = device ? device.effects : [];
+
+    for (const service of accessory.services.filter((candidate) => candidate.UUID === this.Service.Switch.UUID)) {
+      if (!effects.some((effect, index) => service.subtype === `effect-${index}`)) {
+        accessory.removeService(service);
+      }
+    }
+
+    effects.forEach((effect, index) => {
+      const subtype = `effect-${index}`;
+      const service = accessory.getServiceById(this.Service.Switch, subtype)
+        || accessory.addService(this.Service.Switch, effect.name, subtype);
+
+      service.setCharacteristic(this.Characteristic.Name, effect.name);
+
+      const onCharacteristic = service.getCharacteristic(this.Characteristic.On);
+      resetCharacteristicHandlers(onCharacteristic);
+      onCharacteristic.onGet(() => {
+        this.assertDeviceOnline(device);
+        return device.activeEffect === index;
+      });
+      onCharacteristic.onSet((value) => this.setEffect(accessory, device, index, value));
+    });
+  }
+
+  configureUpdateAccessory(accessory, device) {
+    const service = accessory.getService(this.Service.Switch)
+      || accessory.addService(this.Service.Switch);
+
+    service.setCharacteristic(this.Characteristic.Name, accessory.displayName);
+
+    const onCharacteristic = service.getCharacteristic(this.Characteristic.On);
+    resetCharacteristicHandlers(onCharacteristic);
+    onCharacteristic.onGet(() => {
+      this.assertDeviceOnline(device);
+      return Boolean(device && device.updatingUntil);
+    });
+    onCharacteristic.onSet((value) => this.setFirmwareUpdate(accessory, service, device, value));
+  }
+
+  getColorTemperatureRange(accessory) {
+    const kind = accessory.context.kind;
+
+    if (kind === 'rgbw') {
+      return { minValue: MIN_MIRED, maxValue: MAX_MIRED };
+    }
+
+    if (kind !== 'cct') {
+      return null;
+    }
+
+    const device = this.devices.get(this.getAccessoryHost(accessory));
+    const pair = device ? this.getCctPair(device, accessory) : null;
+
+    return pair
+      ? { minValue: pair.coldMired, maxValue: pair.warmMired }
+      : { minValue: MIN_MIRED, maxValue: MAX_MIRED };
+  }
+
+  getCctPair(device, accessory) {
+    return device.cctPairs.find((pair) => pair.warm === accessory.context.channel) || null;
+  }
+
+  clampColorTemperature(accessory, value) {
+    const range = this.getColorTemperatureRange(accessory) || { minValue: MIN_MIRED, maxValue: MAX_MIRED };
+    return clampMired(value, range.minValue, range.maxValue);
+  }
+
+  configureAdaptiveLighting(accessory, lightService) {
+    if (this.adaptiveLightingControllers.has(accessory.UUID)) {
+      return;
+    }
+
+    const controller = new this.api.hap.AdaptiveLightingController(lightService, {
+      controllerMode: this.api.hap.AdaptiveLightingControllerMode.AUTOMATIC,
+    });
+
+    accessory.configureController(controller);
+    this.adaptiveLightingControllers.set(accessory.UUID, controller);
+  }
+
+  removeAdaptiveLighting(accessory) {
+    const controller = this.adaptiveLightingControllers.get(accessory.UUID);
+
+    if (controller) {
+      accessory.removeController(controller);
+      this.adaptiveLightingControllers.delete(accessory.UUID);
+    }
+  }
+
+  configurePowerCharacteristics(accessory, service) {
+    const meters = [
+      [this.EveCharacteristic.Consumption, 'power'],
+      [this.EveCharacteristic.TotalConsumption, 'energy'],
+      [this.EveCharacteristic.Voltage, 'voltage'],
+      [this.EveCharacteristic.ElectricCurrent, 'current'],
+    ];
+
+    for (const [CharacteristicType, key] of meters) {
+      if (!service.testCharacteristic(CharacteristicType)) {
+        service.addOptionalCharacteristic(CharacteristicType);
+      }
+
+      const characteristic = service.getCharacteristic(CharacteristicType);
+
+      resetCharacteristicHandlers(characteristic);
+      characteristic.onGet(() => this.readState(accessory)[key] || 0);
+    }
+  }
+
+  configureFaultStatus(accessory, service) {
+    if (!service.testCharacteristic(this.Characteristic.StatusFault)) {
+      service.addOptionalCharacteristic(this.Characteristic.StatusFault);
+    }
+
+    const characteristic = service.getCharacteristic(this.Characteristic.StatusFault);
+    resetCharacteristicHandlers(characteristic);
+    characteristic.onGet(() => this.getStatusFault(accessory));
+  }
+
+  configureTemperatureService(accessory, device) {
+    const existing = accessory.getService(this.Service.TemperatureSensor);
+    const lights = device
+      ? device.descriptors.filter((descriptor) => LIGHT_KINDS.includes(descriptor.kind))
+      : [];
+    const primary = lights.length && lights[0].uuid === accessory.UUID;
+
+    if (!device || !device.showTemperature || !primary) {
+      if (existing) {
+        accessory.removeService(existing);
+      }
+
+      return;
+    }
+
+    const service = existing
+      || accessory.addService(this.Service.TemperatureSensor, `${device.displayName} Temperature`);
+
+    const temperatureCharacteristic = service.getCharacteristic(this.Characteristic.CurrentTemperature);
+    resetCharacteristicHandlers(temperatureCharacteristic);
+    temperatureCharacteristic.onGet(() => clampTemperature(this.readState(accessory).temperature));
+
+    const faultCharacteristic = service.getCharacteristic(this.Characteristic.StatusFault);
+    resetCharacteristicHandlers(faultCharacteristic);
+    faultCharacteristic.onGet(() => this.getStatusFault(accessory));
+  }
+
+  configureTransitionCharacteristic(accessory, service, device) {
+    const TransitionTime = this.CustomCharacteristic.TransitionTime;
+
+    if (!device || !device.exposeTransition) {
+      if (service.testCharacteristic(TransitionTime)) {
+        service.removeCharacteristic(service.getCharacteristic(TransitionTime));
+      }
+
+      return;
+    }
+
+    if (!service.testCharacteristic(TransitionTime)) {
+      service.addOptionalCharacteristic(TransitionTime);
+    }
+
+    const characteristic = service.getCharacteristic(TransitionTime);
+    resetCharacteristicHandlers(characteristic);
+    characteristic.onGet(() => Number(accessory.context.transitionTime) || 0);
+    characteristic.onSet((value) => {
+      accessory.context.transitionTime = Math.max(0, Math.min(MAX_TRANSITION_SECONDS, Number(value) || 0));
+    });
+  }
+
+  configureTimerCharacteristics(accessory, service, device) {
+    const { SetDuration, RemainingDuration } = this.Characteristic;
+
+    if (!device || !device.exposeTimer) {
+      for (const Characteristic of [SetDuration, RemainingDuration]) {
+        if (service.testCharacteristic(Characteristic)) {
+          service.removeCharacteristic(service.getCharacteristic(Characteristic));
+        }
+      }
+
+      return;
+    }
+
+    for (const Characteristic of [SetDuration, RemainingDuration]) {
+      if (!service.testCharacteristic(Characteristic)) {
+        service.addOptionalCharacteristic(Characteristic);
+      }
+    }
+
+    const setDuration = service.getCharacteristic(SetDuration);
+    resetCharacteristicHandlers(setDuration);
+    setDuration.onGet(() => Number(accessory.context.timerDuration) || 0);
+    setDuration.onSet((value) => {
+      accessory.context.timerDuration = Math.max(0, Math.min(MAX_TIMER_SECONDS, Math.round(Number(value) || 0)));
+    });
+
+    const remainingDuration = service.getCharacteristic(RemainingDuration);
+    resetCharacteristicHandlers(remainingDuration);
+    remainingDuration.onGet(() => remainingSeconds(this.readState(accessory)));
+  }
+
+  configureHistoryService(accessory) {
+    const existing = accessory.getService(this.EveHistoryService);
+
+    if (!this.energyHistory) {
+      if (existing) {
+        accessory.removeService(existing);
+      }
+
+      this.removeHistory(accessory.UUID, { keepFile: true });
+      return;
+    }
+
+    const service = existing
+      || accessory.addService(new this.EveHistoryService(`${accessory.displayName} History`));
+
+    const history = this.histories.get(accessory.UUID) || new EveEnergyHistory({
+      filePath: path.join(this.api.user.storagePath(), PLUGIN_NAME, `${accessory.UUID}.json`),
+      log: this.log,
+    });
+
+    history.bind(service, this.EveCharacteristic);
+    this.histories.set(accessory.UUID, history);
+  }
+
+  removeHistory(uuid, options = {}) {
+    const history = this.histories.get(uuid);
+
+    if (!history) {
+      return;
+    }
+
+    this.histories.delete(uuid);
+
+    if (!options.keepFile) {
+      history.destroy();
+    }
+  }
+
+  recordHistorySample(accessory) {
+    const history = this.histories.get(accessory.UUID);
+
+    if (history) {
+      history.addSample(this.getState(accessory).power || 0);
+    }
+  }
+
+  getState(accessory) {
+    if (!accessory.context.state) {
+      accessory.context.state = defaultState(accessory.context.kind);
+    }
+
+    return accessory.context.state;
+  }
+
+  readState(accessory) {
+    // Reads from HomeKit fail while the device is offline, so Home shows
+    // "No Response" instead of the last cached state.
+    this.assertDeviceOnline(this.devices.get(this.getAccessoryHost(accessory)));
+    return this.getState(accessory);
+  }
+
+  getOn(accessory) {
+    return this.readState(accessory).on;
+  }
+
+  getContactSensorState(accessory) {
+    return this.toContactSensorState(this.readState(accessory));
+  }
+
+  toContactSensorState(state) {
+    return state.on
+      ? this.Characteristic.ContactSensorState.CONTACT_DETECTED
+      : this.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED;
+  }
+
+  getBrightness(accessory) {
+    return this.readState(accessory).brightness;
+  }
+
+  getHue(accessory) {
+    return this.readState(accessory).hue;
+  }
+
+  getSaturation(accessory) {
+    return this.readState(accessory).saturation;
+  }
+
+  getStatusFault(accessory) {
+    return this.toStatusFault(this.readState(accessory));
+  }
+
+  toStatusFault(state) {
+    return Array.isArray(state.errors) && state.errors.length
+      ? this.Characteristic.StatusFault.GENERAL_FAULT
+      : this.Characteristic.StatusFault.NO_FAULT;
+  }
+
+  getColorTemperature(accessory) {
+    return this.clampColorTemperature(accessory, this.readState(accessory).colorTemperature);
+  }
+
+  async setOn(accessory, value) {
+    await this.queueAccessoryWrite(accessory, 'On', { on: Boolean(value) });
+  }
+
+  async setBrightness(accessory, value) {
+    await this.queueAccessoryWrite(accessory, 'Brightness', { brightness: clampPercent(value) });
+  }
+
+  async setHue(accessory, value) {
+    await this.queueAccessoryWrite(accessory, 'Hue', { hue: clampHue(value), colorMode: 'color' });
+  }
+
+  async setSaturation(accessory, value) {
+    await this.queueAccessoryWrite(accessory, 'Saturation', { saturation: clampPercent(value), colorMode: 'color' });
+  }
+
+  async setColorTemperature(accessory, value) {
+    const colorTemperature = this.clampColorTemperature(accessory, value);
+    const color = this.api.hap.ColorUtils.colorTemperatureToHueAndSaturation(colorTemperature, true);
+
+    await this.queueAccessoryWrite(accessory, 'ColorTemperature', {
+      colorTemperature,
+      colorMode: 'temperature',
+      hue: color.hue,
+      saturation: color.saturation,
+    });
+  }
+
+  queueAccessoryWrite(accessory, action, changes) {
+    // HomeKit sends the characteristics of a scene as separate writes. Writes
+    // that arrive within a short window are merged into one device call, and
+    // every caller shares its result.
+    let pending = this.pendingWrites.get(accessory.UUID);
+
+    if (!pending) {
+      pending = { actions: [], changes: {} };
+      pending.promise = delay(WRITE_COALESCE_MS).then(() => {
+        this.pendingWrites.delete(accessory.UUID);
+        return this.runAccessoryWrite(accessory, pending.actions.join('/'), () => this.applyAccessoryChanges(accessory, pending.changes));
+      });
+
+      this.pendingWrites.set(accessory.UUID, pending);
+    }
+
+    if (!pending.actions.includes(action)) {
+      pending.actions.push(action);
+    }
+
+    Object.assign(pending.changes, changes);
+    return pending.promise;
+  }
+
+  async applyAccessoryChanges(accessory, changes) {
+    const device = this.getAccessoryDevice(accessory);
+    const kind = accessory.context.kind;
+    const state = this.getState(accessory);
+    const next = Object.assign({}, state, changes);
+    const switching = 'on' in changes || 'brightness' in changes;
+
+    if (changes.on === false || changes.brightness <= 0) {
+      next.on = false;
+    } else if (switching) {
+      next.on = true;
+    }
+
+    if (next.on && next.brightness <= 0) {
+      next.brightness = 100;
+    }
+
+    // A color change on a light that is off is only remembered for later.
+    if (switching || next.on) {
+      const action = writeAction(state, next, changes);
+      const toggleAfter = this.getToggleAfter(device, accessory, state, next, changes);
+
+      if (kind === 'light') {
+        const params = { id: accessory.context.channel, on: next.on };
+
+        if (next.on && 'brightness' in changes) {
+          params.brightness = applyDimming(this.getDimming(device, accessory.context.channel), next.brightness);
+        }
+
+        if (toggleAfter) {
+          params.toggle_after = toggleAfter;
+        }
+
+        await device.client.call('Light.Set', this.withTransition(device, accessory, action, params));
+      } else if (kind === 'cct') {
+        await this.applyCctState(device, accessory, next, action, toggleAfter);
+      } else {
+        const params = next.on
+          ? this.buildColorSetParams(device, kind, next, true)
+          : { id: 0, on: false };
+
+        if (toggleAfter) {
+          params.toggle_after = toggleAfter;
+        }
+
+        await device.client.call(profileToMethod(kind), this.withTransition(device, accessory, action, params));
+      }
+    }
+
+    Object.assign(state, next);
+    this.pushStateToHomeKit(accessory, state);
+  }
+
+  async setEffect(effectAccessory, device, index, value) {
+    const effect = device.effects[index];
+
+    if (!value) {
+      if (device.activeEffect === index) {
+        const snapshot = await this.stopEffect(device);
+        await this.runAccessoryWrite(effectAccessory, effect.name, () => this.restoreStatusSnapshot(device, snapshot));
+      }
+
+      return;
+    }
+
+    if (EFFECT_TYPES[effect.type].color && device.profile === 'light') {
+      this.log.warn('Effect %s of %s needs the rgb or rgbw profile.', effect.name, device.host);
+      throw new this.api.hap.HapStatusError(this.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST);
+    }
+
+    const snapshot = device.effectRunner
+      ? device.effectRunner.snapshot
+      : await device.client.getStatus().catch(() => device.status);
+    const accessory = this.findLightAccessory(device, 0);
+    const peak = accessory && this.getState(accessory).brightness > 0 ? this.getState(accessory).brightness : 100;
+
+    await this.stopEffect(device);
+
+    const runner = new EffectRunner({
+      render: (elapsed) => renderEffectFrame(effect, elapsed, peak),
+      send: (frame) => this.sendEffectFrame(device, frame),
+      onError: (error) => this.log.warn('Effect %s on %s failed: %s', effect.name, device.host, error.message),
+    });
+
+    runner.snapshot = snapshot;
+    device.effectRunner = runner;
+    device.activeEffect = index;
+    runner.start();
+    this.updateEffectSwitches(device);
+  }
+
+  async stopEffect(device) {
+    const runner = device.effectRunner;
+
+    if (!runner) {
+      return null;
+    }
+
+    device.effectRunner = null;
+    device.activeEffect = null;
+    this.updateEffectSwitches(device);
+    await runner.stop();
+
+    return runner.snapshot;
+  }
+
+  async restoreStatusSnapshot(device, snapshot) {
+    if (!snapshot) {
+      return;
+    }
+
+    if (device.profile === 'light') {
+      for (let channel = 0; channel < 4; channel++) {
+        const lightStatus = snapshot[`light:${channel}`];
+
+        const paired = device.cctPairs.some((pair) => pair.warm === channel || pair.cold === channel);
+
+        if (lightStatus && (paired || this.findLightAccessory(device, channel))) {
+          await device.client.call('Light.Set', {
+            id: channel,
+            on: Boolean(lightStatus.output),
+            brightness: Math.max(1, clampPercent(lightStatus.brightness)),
+          });
+        }
+      }
+
+      return;
+    }
+
+    const colorStatus = snapshot[`${device.profile}:0`];
+
+    if (!colorStatus) {
+      return;
+    }
+
+    const params = {
+      id: 0,
+      on: Boolean(colorStatus.output),
+      brightness: Math.max(1, clampPercent(colorStatus.brightness)),
+      rgb: normalizeRgbArray(colorStatus.rgb),
+    };
+
+    if (device.profile === 'rgbw') {
+      params.white = clampByte(colorStatus.white ?? 0);
+    }
+
+    await device.client.call(profileToMethod(device.profile), params);
+  }
+
+  async sendEffectFrame(device, frame) {
+    const timing = frame.transition > 0 ? { transition_duration: frame.transition } : {};
+
+    if (device.profile === 'light') {
+      for (const descriptor of device.descriptors) {
+        if (descriptor.kind === 'cct') {
+          await this.sendCctEffectFrame(device, descriptor, frame, timing);
+          continue;
+        }
+
+        if (descriptor.kind !== 'light') {
+          continue;
+        }
+
+        await device.client.call('Light.Set', Object.assign(frame.on
+          ? { id: descriptor.channel, on: true, brightness: applyDimming(this.getDimming(device, descriptor.channel), frame.brightness) }
+          : { id: descriptor.channel, on: false }, timing));
+      }
+
+      return;
+    }
+
+    const params = frame.on
+      ? this.buildColorSetParams(device, device.profile, Object.assign({ colorMode: 'color' }, frame), true)
+      : { id: 0, on: false };
+
+    await device.client.call(profileToMethod(device.profile), Object.assign(params, timing));
+  }
+
+  async sendCctEffectFrame(device, descriptor, frame, timing) {
+    const accessory = this.accessories.get(descriptor.uuid);
+    const pair = accessory ? this.getCctPair(device, accessory) : null;
+
+    if (!pair) {
+      return;
+    }
+
+    // A tunable white pair keeps its color temperature and follows the
+    // brightness of the effect.
+    const state = {
+      on: frame.on,
+      brightness: frame.on ? applyDimming(this.getDimming(device, pair.warm), frame.brightness) : 0,
+      colorTemperature: this.getState(accessory).colorTemperature,
+    };
+
+    for (const params of buildCctSetParams(pair, state)) {
+      await device.client.call('Light.Set', Object.assign(params, timing));
+    }
+  }
+
+  updateEffectSwitches(device) {
+    const descriptor = device.descriptors.find((candidate) => candidate.kind === 'effects');
+    const accessory = descriptor ? this.accessories.get(descriptor.uuid) : null;
+
+    if (!accessory) {
+      return;
+    }
+
+    device.effects.forEach((effect, index) => {
+      const service = accessory.getServiceById(this.Service.Switch, `effect-${index}`);
+
+      if (service) {
+        service.updateCharacteristic(this.Characteristic.On, device.activeEffect === index);
+      }
+    });
+  }
+
+  async setPreset(presetAccessory, service, device, preset, value) {
+    if (!value) {
+      // Switching a preset off does nothing. The switch keeps following the
+      // lights, so restore it once HomeKit has stored the written value.
+      setImmediate(() => {
+        service.updateCharacteristic(this.Characteristic.On, this.isPresetActive(device, preset));
+      });
+      return;
+    }
+
+    if (device.profile === 'light') {
+      await this.applyLightPreset(presetAccessory, device, preset);
+    } else {
+      await this.applyColorPreset(presetAccessory, device, preset);
+    }
+  }
+
+  async applyLightPreset(presetAccessory, device, preset) {
+    const writes = preset.levels.map(async (level, channel) => {
+      if (level === null) {
+        return;
+      }
+
+      const accessory = this.findLightAccessory(device, channel) || presetAccessory;
+      const params = level > 0
+        ? { id: channel, on: true, brightness: applyDimming(this.getDimming(device, channel), level) }
+        : { id: channel, on: false };
+
+      await this.runAccessoryWrite(accessory, preset.name, async () => {
+        await device.client.call('Light.Set', this.withTransition(device, accessory, level > 0 ? 'brightness' : 'off', params));
+
+        if (accessory.context.kind === 'light') {
+          const state = this.getState(accessory);
+          state.on = level > 0;
+          state.brightness = level > 0 ? level : state.brightness;
+          this.pushStateToHomeKit(accessory, state);
+        }
+      });
+    });
+
+    await Promise.all(writes);
+  }
+
+  async applyColorPreset(presetAccessory, device, preset) {
+    const accessory = this.findLightAccessory(device, 0) || presetAccessory;
+
+    await this.runAccessoryWrite(accessory, preset.name, async () => {
+      const params = this.buildPresetParams(device, preset, this.getState(accessory));
+      const action = params.on ? 'color' : 'off';
+
+      await device.client.call(profileToMethod(device.profile), this.withTransition(device, accessory, action, params));
+
+      if (accessory === presetAccessory) {
+        return;
+      }
+
+      const state = this.getState(accessory);
+      state.on = params.on;
+
+      if (params.on) {
+        Object.assign(state, presetColor(preset, state), { colorMode: 'color' });
+      }
+
+      this.pushStateToHomeKit(accessory, state);
+    });
+  }
+
+  buildPresetParams(device, preset, currentState) {
+    if (preset.brightness === 0) {
+      return { id: 0, on: false };
+    }
+
+    const params = this.mixColorParams(device, device.profile, Object.assign({}, presetColor(preset, currentState), {
+      colorMode: 'color',
+    }), true);
+
+    if (device.profile === 'rgbw' && preset.white !== null) {
+      params.white = percentToByte(preset.white);
+    }
+
+    return this.calibrateColorSetParams(device, params);
+  }
+
+  findLightAccessory(device, channel) {
+    const descriptor = device.descriptors.find((candidate) => candidate.channel === channel
+      && ['light', 'rgb', 'rgbw'].includes(candidate.kind));
+
+    return descriptor ? this.accessories.get(descriptor.uuid) || null : null;
+  }
+
+  isPresetActive(device, preset) {
+    const status = device ? device.status : null;
+
+    if (!status) {
+      return false;
+    }
+
+    if (device.profile === 'light') {
+      return preset.levels.every((level, channel) => {
+        const lightStatus = status[`light:${channel}`];
+
+        if (level === null) {
+          return true;
+        }
+
+        if (!lightStatus) {
+          return false;
+        }
+
+        return level > 0
+          ? Boolean(lightStatus.output)
+            && Math.abs(clampPercent(lightStatus.brightness) - applyDimming(this.getDimming(device, channel), level)) <= 1
+          : !lightStatus.output;
+      });
+    }
+
+    const colorStatus = status[`${device.profile}:0`];
+    const accessory = this.findLightAccessory(device, 0);
+
+    if (!colorStatus) {
+      return false;
+    }
+
+    const expected = this.buildPresetParams(device, preset, accessory ? this.getState(accessory) : {});
+
+    if (!expected.on) {
+      return !colorStatus.output;
+    }
+
+    return Boolean(colorStatus.output)
+      && Math.abs(clampPercent(colorStatus.brightness) - expected.brightness) <= 1
+      && matchesRgbwOutput(expected, colorStatus);
+  }
+
+  updatePresetSwitches(device) {
+    const descriptor = device.descriptors.find((candidate) => candidate.kind === 'presets');
+    const accessory = descriptor ? this.accessories.get(descriptor.uuid) : null;
+
+    if (!accessory) {
+      return;
+    }
+
+    device.presets.forEach((preset, index) => {
+      const service = accessory.getServiceById(this.Service.Switch, `preset-${index}`);
+
+      if (service) {
+        service.updateCharacteristic(this.Characteristic.On, this.isPresetActive(device, preset));
+      }
+    });
+  }
+
+  getToggleAfter(device, accessory, state, next, changes) {
+    // The timer starts when the light is switched on, not on every
+    // brightness or color change while it is on.
+    const duration = Number(accessory.context.timerDuration) || 0;
+
+    if (!device.exposeTimer || duration <= 0 || !next.on || (state.on && changes.on !== true)) {
+      return null;
+    }
+
+    return duration;
+  }
+
+  async applyCctState(device, accessory, state, action, toggleAfter = null) {
+    const pair = this.getCctPair(device, accessory);
+
+    if (!pair) {
+      throw new Error('Tunable white channel pair is no longer configured.');
+    }
+
+    const dimmed = Object.assign({}, state, {
+      brightness: applyDimming(this.getDimming(device, pair.warm), state.brightness),
+    });
+
+    for (const params of buildCctSetParams(pair, dimmed)) {
+      if (toggleAfter && params.on) {
+        params.toggle_after = toggleAfter;
+      }
+
+      await device.client.call('Light.Set', this.withTransition(device, accessory, action, params));
+    }
+  }
+
+  withTransition(device, accessory, action, params) {
+    const seconds = this.getTransition(device, accessory, action);
+
+    if (seconds === null) {
+      return params;
+    }
+
+    return Object.assign({}, params, { transition_duration: seconds });
+  }
+
+  getTransition(device, accessory, action) {
+    const override = Number(accessory.context.transitionTime);
+
+    if (device.exposeTransition && override > 0) {
+      return override;
+    }
+
+    const channelSettings = device.channelSettings[accessory.context.channel] || {};
+    const channelValue = channelSettings.transitions ? channelSettings.transitions[action] : null;
+    const value = channelValue ?? device.transitions[action];
+
+    return value ?? null;
+  }
+
+  buildColorSetParams(device, kind, state, on) {
+    return this.calibrateColorSetParams(device, this.mixColorParams(device, kind, state, on));
+  }
+
+  calibrateColorSetParams(device, params) {
+    params.brightness = applyDimming(this.getDimming(device, 0), params.brightness);
+    return calibrateColorParams(params, device.colorCalibration);
+  }
+
+  getDimming(device, channel) {
+    const settings = device.channelSettings[channel];
+    return settings ? settings.dimming || null : null;
+  }
+
+  mixColorParams(device, kind, state, on) {
+    const brightness = Math.max(1, clampPercent(state.brightness || 100));
+    const hue = clampHue(state.hue);
+    const saturation = clampPercent(state.saturation);
+
+    if (kind === 'rgbw' && state.colorMode === 'temperature') {
+      const mix = mixColorTemperature(state.colorTemperature, device.whiteTemperature);
+
+      return {
+        id: 0,
+        on,
+        brightness,
+        rgb: mix.rgb.map((value) => clampByte(value * brightness / 100)),
+        white: percentToByte(brightness * mix.white),
+      };
+    }
+
+    if (kind === 'rgbw' && device.rgbwMode === 'mixed') {
+      const color = hsvToRgb(hue, saturation, brightness);
+      const white = Math.min(...color);
+
+      return {
+        id: 0,
+        on,
+        brightness,
+        rgb: color.map((value) => value - white),
+        white,
+      };
+    }
+
+    if (kind === 'rgbw' && saturation <= 1) {
+      return {
+        id: 0,
+        on,
+        brightness,
+        rgb: [0, 0, 0],
+        white: percentToByte(brightness),
+      };
+    }
+
+    const rgb = hsvToRgb(hue, saturation, brightness);
+
+    if (kind === 'rgbw') {
+      return {
+        id: 0,
+        on,
+        brightness,
+        rgb,
+        white: 0,
+      };
+    }
+
+    return {
+      id: 0,
+      on,
+      brightness,
+      rgb,
+    };
+  }
+
+  enqueueAccessoryCommand(accessory, task) {
+    const key = accessory.UUID;
+    const previous = this.commandQueues.get(key) || Promise.resolve();
+
+    const next = previous
+      .catch(() => undefined)
+      .then(task)
+      .finally(() => {
+        if (this.commandQueues.get(key) === next) {
+          this.commandQueues.delete(key);
+        }
+      });
+
+    this.commandQueues.set(key, next);
+    return next;
+  }
+
+  async runAccessoryWrite(accessory, action, task) {
+    try {
+      const device = this.devices.get(this.getAccessoryHost(accessory));
+
+      // Any write from HomeKit ends a running effect first, and waits for its
+      // last frame so that frame cannot land after the new state.
+      if (device) {
+        await this.stopEffect(device);
+      }
+
+      await this.enqueueAccessoryCommand(accessory, task);
+    } catch (error) {
+      this.log.warn('Failed to set %s for %s: %s', action, accessory.displayName, error.message);
+      throw this.toHapStatusError(error);
+    }
+  }
+
+  toHapStatusError(error) {
+    if (error && error instanceof this.api.hap.HapStatusError) {
+      return error;
+    }
+
+    return new this.api.hap.HapStatusError(this.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+  }
+
+  updateAccessoryStates(host, status) {
+    for (const accessory of this.accessories.values()) {
+      if (this.getAccessoryHost(accessory) !== host) {
+        continue;
+      }
+
+      const nextState = this.normalizeAccessoryStatus(accessory, status);
+
+      if (!nextState) {
+        continue;
+      }
+
+      this.reportDeviceErrors(accessory, this.getState(accessory).errors, nextState.errors);
+      this.pushStateToHomeKit(accessory, nextState);
+      this.recordHistorySample(accessory);
+    }
+
+    const device = this.devices.get(host);
+
+    if (device) {
+      this.updatePresetSwitches(device);
+    }
+  }
+
+  reportDeviceErrors(accessory, previousErrors, nextErrors) {
+    const previous = Array.isArray(previousErrors) ? previousErrors : [];
+    const next = Array.isArray(nextErrors) ? nextErrors : [];
+
+    if (previous.join() === next.join()) {
+      return;
+    }
+
+    if (next.length) {
+      this.log.warn('%s reports device errors: %s', accessory.displayName, next.join(', '));
+      return;
+    }
+
+    this.log.info('%s device errors cleared.', accessory.displayName);
+  }
+
+  normalizeAccessoryStatus(accessory, status) {
+    const kind = accessory.context.kind;
+
+    if (kind === 'light') {
+      const lightStatus = status[`light:${accessory.context.channel}`];
+      return lightStatus ? this.resolveDimmedState(accessory, normalizeLightStatus(lightStatus)) : null;
+    }
+
+    if (kind === 'cct') {
+      const device = this.devices.get(this.getAccessoryHost(accessory));
+      const pair = device ? this.getCctPair(device, accessory) : null;
+
+      if (!pair || !status[`light:${pair.warm}`] || !status[`light:${pair.cold}`]) {
+        return null;
+      }
+
+      const nextState = normalizeCctStatus(pair, status[`light:${pair.warm}`], status[`light:${pair.cold}`], this.getState(accessory));
+      return this.resolveDimmedState(accessory, nextState);
+    }
+
+    if (kind === 'input') {
+      const inputStatus = status[`input:${accessory.context.channel}`];
+      return inputStatus ? { on: inputStatus.state === true } : null;
+    }
+
+    if (kind === 'rgb') {
+      const rgbStatus = status['rgb:0'];
+      if (!rgbStatus) {
+        return null;
+      }
+
+      const device = this.devices.get(this.getAccessoryHost(accessory));
+      const nextState = this.resolveDimmedState(accessory, normalizeRgbStatus(rgbStatus, device ? device.colorCalibration : null));
+      return this.resolveCalibratedState(accessory, 'rgb', rgbStatus, nextState);
+    }
+
+    if (kind === 'rgbw') {
+      const rgbwStatus = status['rgbw:0'];
+      if (!rgbwStatus) {
+        return null;
+      }
+
+      const device = this.devices.get(this.getAccessoryHost(accessory));
+      const nextState = this.resolveDimmedState(accessory, device
+        ? normalizeRgbwStatus(rgbwStatus, device.rgbwMode, device.colorCalibration)
+        : normalizeRgbwStatus(rgbwStatus, 'exclusive', null));
+      return this.resolveColorMode(accessory, rgbwStatus, this.resolveCalibratedState(accessory, 'rgbw', rgbwStatus, nextState));
+    }
+
+    return null;
+  }
+
+  resolveDimmedState(accessory, nextState) {
+    const device = this.devices.get(this.getAccessoryHost(accessory));
+    const dimming = device ? this.getDimming(device, accessory.context.channel) : null;
+
+    if (!dimming) {
+      return nextState;
+    }
+
+    // Several HomeKit values can share one device level, so keep the one
+    // HomeKit set while it still maps to the reported level.
+    const state = this.getState(accessory);
+    const brightness = applyDimming(dimming, state.brightness) === nextState.brightness
+      ? state.brightness
+      : invertDimming(dimming, nextState.brightness);
+
+    return Object.assign(nextState, { brightness });
+  }
+
+  resolveColorMode(accessory, rgbwStatus, nextState) {
+    const state = this.getState(accessory);
+    const device = this.devices.get(this.getAccessoryHost(accessory));
+
+    if (state.colorMode !== 'temperature' || !device) {
+      return nextState;
+    }
+
+    // The device only reports raw channel levels, so a color temperature
+    // survives a refresh as long as those still match what we sent for it.
+    const expected = this.buildColorSetParams(device, 'rgbw', Object.assign({}, state, {
+      brightness: nextState.brightness,
+    }), true);
+
+    if (matchesRgbwOutput(expected, rgbwStatus)) {
+      return Object.assign(nextState, { hue: state.hue, saturation: state.saturation });
+    }
+
+    return Object.assign(nextState, { colorMode: 'color' });
+  }
+
+  resolveCalibratedState(accessory, kind, status, nextState) {
+    const state = this.getState(accessory);
+    const device = this.devices.get(this.getAccessoryHost(accessory));
+
+    if (!device || !device.colorCalibration) {
+      return nextState;
+    }
+
+    // Calibrated levels are rounded twice on the way to the device and back,
+    // so keep what HomeKit set as long as it still produces the reported levels.
+    const expected = this.buildColorSetParams(device, kind, state, true);
+
+    if (expected.brightness !== status.brightness) {
+      return nextState;
+    }
+
+    if (state.colorMode === 'temperature' || !matchesRgbwOutput(expected, status)) {
+      return Object.assign(nextState, { brightness: state.brightness });
+    }
+
+    return Object.assign(nextState, {
+      brightness: state.brightness,
+      hue: state.hue,
+      saturation: state.saturation,
+    });
+  }
+
+  pushStateToHomeKit(accessory, nextState) {
+    const state = Object.assign(this.getState(accessory), nextState);
+
+    if (accessory.context.kind === 'input') {
+      this.pushInputStateToHomeKit(accessory, state);
+      return;
+    }
+
+    const service = accessory.getService(this.Service.Lightbulb);
+
+    if (!service) {
+      return;
+    }
+
+    service.updateCharacteristic(this.Characteristic.On, state.on);
+    service.updateCharacteristic(this.Characteristic.Brightness, state.brightness);
+    this.pushPowerToHomeKit(service, state);
+    this.pushHealthToHomeKit(accessory, service, state);
+
+    if (service.testCharacteristic(this.Characteristic.RemainingDuration)) {
+      service.updateCharacteristic(this.Characteristic.RemainingDuration, remainingSeconds(state));
+    }
+
+    if (accessory.context.kind === 'light') {
+      return;
+    }
+
+    if (service.testCharacteristic(this.Characteristic.Hue)) {
+      service.updateCharacteristic(this.Characteristic.Hue, state.hue);
+    }
+
+    if (service.testCharacteristic(this.Characteristic.Saturation)) {
+      service.updateCharacteristic(this.Characteristic.Saturation, state.saturation);
+    }
+
+    if (service.testCharacteristic(this.Characteristic.ColorTemperature)) {
+      service.updateCharacteristic(
+        this.Characteristic.ColorTemperature,
+        this.clampColorTemperature(accessory, state.colorTemperature),
+      );
+    }
+  }
+
+  pushInputStateToHomeKit(accessory, state) {
+    const contactService = accessory.getService(this.Service.ContactSensor);
+
+    if (contactService) {
+      contactService.updateCharacteristic(this.Characteristic.ContactSensorState, this.toContactSensorState(state));
+    }
+
+    const switchService = accessory.getService(this.Service.Switch);
+
+    if (switchService) {
+      switchService.updateCharacteristic(this.Characteristic.On, state.on);
+    }
+  }
+
+  pushHealthToHomeKit(accessory, service, state) {
+    const fault = this.toStatusFault(state);
+
+    if (service.testCharacteristic(this.Characteristic.StatusFault)) {
+      service.updateCharacteristic(this.Characteristic.StatusFault, fault);
+    }
+
+    const temperatureService = accessory.getService(this.Service.TemperatureSensor);
+
+    if (!temperatureService) {
+      return;
+    }
+
+    temperatureService.updateCharacteristic(this.Characteristic.StatusFault, fault);
+
+    if (Number.isFinite(state.temperature)) {
+      temperatureService.updateCharacteristic(this.Characteristic.CurrentTemperature, clampTemperature(state.temperature));
+    }
+  }
+
+  pushPowerToHomeKit(service, state) {
+    const meters = [
+      [this.EveCharacteristic.Consumption, state.power],
+      [this.EveCharacteristic.TotalConsumption, state.energy],
+      [this.EveCharacteristic.Voltage, state.voltage],
+      [this.EveCharacteristic.ElectricCurrent, state.current],
+    ];
+
+    for (const [CharacteristicType, value] of meters) {
+      if (Number.isFinite(value) && service.testCharacteristic(CharacteristicType)) {
+        service.updateCharacteristic(CharacteristicType, value);
+      }
+    }
+  }
+}
+
+class EveEnergyHistory {
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.log = options.log;
+    this.service = null;
+    this.EveCharacteristic = null;
+
+    this.refTime = 0;
+    this.dropped = 0;
+    this.entries = [];
+
+    this.sampleSum = 0;
+    this.sampleDuration = 0;
+    this.samplePower = null;
+    this.sampleSince = 0;
+    this.lastPower = null;
+
+    this.readAddress = 0;
+    this.sendRefTime = true;
+    this.saving = Promise.resolve();
+
+    this.load();
+  }
+
+  bind(service, EveCharacteristic) {
+    this.service = service;
+    this.EveCharacteristic = EveCharacteristic;
+
+    const status = service.getCharacteristic(EveCharacteristic.HistoryStatus);
+    resetCharacteristicHandlers(status);
+    status.onGet(() => this.encodeStatus().toString('base64'));
+
+    const entries = service.getCharacteristic(EveCharacteristic.HistoryEntries);
+    resetCharacteristicHandlers(entries);
+    entries.onGet(() => this.readEntries().toString('base64'));
+
+    const request = service.getCharacteristic(EveCharacteristic.HistoryRequest);
+    resetCharacteristicHandlers(request);
+    request.onSet((value) => this.requestEntries(value));
+
+    const setTime = service.getCharacteristic(EveCharacteristic.SetTime);
+    resetCharacteristicHandlers(setTime);
+    setTime.onSet(() => undefined);
+  }
+
+  addSample(power, now = Date.now()) {
+    if (!Number.isFinite(power)) {
+      return;
+    }
+
+    this.accumulate(now);
+    this.samplePower = power;
+  }
+
+  accumulate(now) {
+    // Each value counts for as long as it was held, so a burst of status
+    // updates does not outweigh a long stretch without changes.
+    if (this.samplePower !== null && now > this.sampleSince) {
+      this.sampleSum += this.samplePower * (now - this.sampleSince);
+      this.sampleDuration += now - this.sampleSince;
+    }
+
+    this.sampleSince = now;
+  }
+
+  commit(now = Date.now()) {
+    this.accumulate(now);
+
+    const power = this.sampleDuration
+      ? roundTo(this.sampleSum / this.sampleDuration, 1)
+      : this.lastPower;
+
+    this.sampleSum = 0;
+    this.sampleDuration = 0;
+
+    if (power === null) {
+      return;
+    }
+
+    const time = Math.round(now / 1000);
+    this.lastPower = power;
+
+    if (!this.refTime) {
+      this.refTime = time - EVE_EPOCH_OFFSET;
+      this.entries.push({ time, refTime: true });
+    }
+
+    this.entries.push({ time, power });
+
+    while (this.entries.length > HISTORY_SIZE) {
+      this.entries.shift();
+      this.dropped++;
+    }
+
+    if (this.service) {
+      this.service.updateCharacteristic(
+        this.EveCharacteristic.HistoryStatus,
+        this.encodeStatus().toString('base64'),
+      );
+    }
+
+    this.save();
+  }
+
+  get lastAddress() {
+    return this.dropped + this.entries.length;
+  }
+
+  encodeStatus() {
+    const last = this.entries[this.entries.length - 1];
+    const full = this.entries.length >= HISTORY_SIZE;
+    const buffer = Buffer.alloc(35);
+
+    buffer.writeUInt32LE(last ? last.time - this.refTime - EVE_EPOCH_OFFSET : 0, 0);
+    buffer.writeUInt32LE(0, 4);
+    buffer.writeUInt32LE(this.refTime, 8);
+    Buffer.from('040102020207020f03', 'hex').copy(buffer, 12);
+    buffer.writeUInt16LE(full ? this.entries.length : this.entries.length + 1, 21);
+    buffer.writeUInt16LE(HISTORY_SIZE, 23);
+    buffer.writeUInt32LE(full ? this.dropped + 1 : this.dropped, 25);
+    Buffer.from('000000000101', 'hex').copy(buffer, 29);
+
+    return buffer;
+  }
+
+  requestEntries(value) {
+    const request = Buffer.from(String(value || ''), 'base64');
+    const address = request.length >= 6 ? request.readUInt32LE(2) : 0;
+
+    this.readAddress = Math.max(address || 1, this.dropped + 1);
+  }
+
+  readEntries() {
+    const records = [];
+
+    // Eve reads the log in batches; each read continues where the last ended.
+    while (this.readAddress && this.readAddress <= this.lastAddress && records.length < 11) {
+      const address = this.readAddress;
+      const entry = this.entries[address - this.dropped - 1];
+
+      if (entry.refTime || this.sendRefTime || address === this.dropped + 1) {
+        const record = Buffer.alloc(21);
+        record.writeUInt8(0x15, 0);
+        record.writeUInt32LE(address, 1);
+        Buffer.from('0100000081', 'hex').copy(record, 5);
+        record.writeUInt32LE(this.refTime, 10);
+        this.sendRefTime = false;
+        records.push(record);
+      } else {
+        const record = Buffer.alloc(20);
+        record.writeUInt8(0x14, 0);
+        record.writeUInt32LE(address, 1);
+        record.writeUInt32LE(entry.time - this.refTime - EVE_EPOCH_OFFSET, 5);
+        record.writeUInt8(0x1f, 9);
+        record.writeUInt16LE(Math.min(0xffff, Math.round(entry.power * 10)), 14);
+        records.push(record);
+      }
+
+      this.readAddress++;
+    }
+
+    if (!records.length) {
+      this.readAddress = 0;
+      return Buffer.from([0]);
+    }
+
+    return Buffer.concat(records);
+  }
+
+  load() {
+    let data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.warn('Could not read energy history %s: %s', this.filePath, error.message);
+      }
+
+      return;
+    }
+
+    if (!data || !Array.isArray(data.entries)) {
+      return;
+    }
+
+    this.refTime = Number(data.refTime) || 0;
+    this.dropped = Number(data.dropped) || 0;
+    this.entries = data.entries.slice(-HISTORY_SIZE);
+
+    const lastSample = this.entries.filter((entry) => !entry.refTime).pop();
+    this.lastPower = lastSample ? lastSample.power : null;
+  }
+
+  save() {
+    const data = JSON.stringify({
+      refTime: this.refTime,
+      dropped: this.dropped,
+      entries: this.entries,
+    });
+
+    const tempPath = `${this.filePath}.tmp`;
+
+    this.saving = this.saving
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((error) => {
+        this.log.warn('Could not write energy history %s: %s', this.filePath, error.message);
+      });
+  }
+
+  destroy() {
+    this.saving = this.saving.then(() => fs.promises.rm(this.filePath, { force: true }))
+      .catch(() => undefined);
+  }
+}
+
+class EffectRunner {
+  constructor(options) {
+    this.render = options.render;
+    this.send = options.send;
+    this.onError = options.onError;
+    this.snapshot = null;
+
+    this.active = false;
+    this.failed = false;
+    this.timer = null;
+    this.startedAt = 0;
+    this.inFlight = Promise.resolve();
+  }
+
+  start() {
+    this.active = true;
+    this.startedAt = Date.now();
+    this.tick();
+  }
+
+  tick() {
+    if (!this.active) {
+      return;
+    }
+
+    // Frames are rendered from the elapsed time and the next one is only
+    // scheduled after the device answered, so a slow device skips frames
+    // instead of queueing them.
+    const sentAt = Date.now();
+    const frame = this.render(sentAt - this.startedAt);
+
+    this.inFlight = this.send(frame)
+      .then(() => {
+        this.failed = false;
+      })
+      .catch((error) => {
+        if (!this.failed) {
+          this.onError(error);
+        }
+
+        this.failed = true;
+      })
+      .then(() => {
+        if (this.active) {
+          this.timer = setTimeout(() => this.tick(), Math.max(0, frame.delay - (Date.now() - sentAt)));
+        }
+      });
+  }
+
+  stop() {
+    this.active = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    return this.inFlight;
+  }
+}
+
+class ShellyRpcClient {
+  constructor(host, options = {}) {
+    this.requestId = 1;
+    this.timeoutMs = options.timeoutMs || DEFAULT_REQUEST_OPTIONS.timeoutMs;
+    this.retries = options.retries ?? DEFAULT_REQUEST_OPTIONS.retries;
+    this.auth = options.auth || null;
+
+    const base = host.startsWith('http://') || host.startsWith('https://')
+      ? host
+      : `http://${host}`;
+
+    this.url = `${base.replace(/\/+$/, '')}/rpc`;
+    this.scheduler = new ShellyRequestScheduler((method, params) => this.request(method, params));
+  }
+
+  async getStatus() {
+    return this.call('Shelly.GetStatus');
+  }
+
+  async getDeviceInfo() {
+    return this.call('Shelly.GetDeviceInfo');
+  }
+
+  call(method, params) {
+    return this.scheduler.schedule(method, params);
+  }
+
+  async request(method, params) {
+    // Reads are safe to repeat after any transport failure. Writes are only
+    // repeated when the connection failed, because after a timeout the device
+    // may already have applied them.
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.requestOnce(method, params);
+      } catch (error) {
+        const retryable = isReadMethod(method) ? error.transient : error.connectionFailed;
+
+        if (!retryable || attempt >= this.retries) {
+          throw error;
+        }
+
+        await delay(RETRY_DELAY_MS * 2 ** attempt * (0.5 + Math.random()));
+      }
+    }
+  }
+
+  async requestOnce(method, params) {
+    if (typeof fetch !== 'function') {
+      throw new Error('Global fetch is not available. Use Node.js 18+ for this plugin.');
+    }
+
+    let response = await this.post(method, params);
+
+    if (response.status === 401) {
+      if (!this.auth) {
+        throw createAuthError(`Authentication required calling ${method}. Set a password for this device.`);
+      }
+
+      const challenge = parseDigestChallenge(response.headers.get('www-authenticate'));
+
+      if (!this.auth.updateChallenge(challenge)) {
+        throw new Error(`Unsupported authentication challenge calling ${method}`);
+      }
+
+      response = await this.post(method, params);
+
+      if (response.status === 401) {
+        throw createAuthError(`Authentication failed calling ${method}. Check the device password.`);
+      }
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} ${response.statusText} calling ${method}`);
+      error.code = response.status;
+      error.transient = response.status >= 500;
+      throw error;
+    }
+
+    let body;
+
+    try {
+      body = await response.json();
+    } catch (error) {
+      throw new Error(`Invalid JSON received from ${method}`);
+    }
+
+    if (body && body.error) {
+      throw createRpcError(method, body.error);
+    }
+
+    if (body && Object.prototype.hasOwnProperty.call(body, 'result')) {
+      return body.result;
+    }
+
+    if (body && Object.prototype.hasOwnProperty.call(body, 'params')) {
+      return body.params;
+    }
+
+    return body;
+  }
+
+  async post(method, params) {
+    const payload = {
+      id: this.requestId++,
+      src: 'homebridge',
+      method,
+    };
+
+    if (params && Object.keys(params).length > 0) {
+      payload.params = params;
+    }
+
+    if (this.auth && this.auth.hasChallenge()) {
+      payload.auth = this.auth.sign();
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      return await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const failure = error.name === 'AbortError'
+        ? new Error(`Request timeout calling ${method}`)
+        : new Error(`Network error calling ${method}: ${error.message}`);
+
+      failure.transient = true;
+      failure.connectionFailed = Boolean(error.cause && CONNECTION_ERROR_CODES.includes(error.cause.code));
+      throw failure;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+class ShellyRequestScheduler {
+  constructor(execute) {
+    this.execute = execute;
+    this.reads = [];
+    this.writes = [];
+    this.active = 0;
+    this.lastStart = 0;
+    this.preferReads = false;
+    this.timer = null;
+    this.setAllSupported = true;
+  }
+
+  schedule(method, params) {
+    const read = isReadMethod(method);
+    const lane = read ? this.reads : this.writes;
+    const key = JSON.stringify(params || {});
+
+    // A status read that is already waiting answers every caller.
+    const shared = read && lane.find((entry) => entry.method === method && entry.key === key);
+
+    if (shared) {
+      return shared.promise;
+    }
+
+    const entry = { method, params, key };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    lane.push(entry);
+    this.wake(0);
+    return entry.promise;
+  }
+
+  wake(delay) {
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.pump();
+      }, delay);
+    }
+  }
+
+  pump() {
+    while (this.active < REQUEST_CONCURRENCY && (this.reads.length || this.writes.length)) {
+      const wait = this.lastStart + REQUEST_INTERVAL_MS - Date.now();
+
+      if (wait > 0) {
+        this.wake(wait);
+        return;
+      }
+
+      this.run(this.next());
+    }
+  }
+
+  next() {
+    // Alternate between the lanes while both have work, so neither polling
+    // nor a burst of writes can starve the other.
+    const useReads = this.reads.length && (!this.writes.length || this.preferReads);
+    this.preferReads = !useReads;
+
+    if (useReads) {
+      return [singleCall(this.reads.shift())];
+    }
+
+    return this.takeLightWrites() || [singleCall(this.writes.shift())];
+  }
+
+  takeLightWrites() {
+    if (this.writes[0].method !== 'Light.Set') {
+      return null;
+    }
+
+    const end = this.writes.findIndex((entry) => entry.method !== 'Light.Set');
+    const pending = this.writes.splice(0, end === -1 ? this.writes.length : end);
+    const channels = new Map();
+
+    // Light.Set only changes the fields it names, so the latest write to an
+    // output keeps the state fields of earlier ones it does not set. Options
+    // such as toggle_after only belong to the write that carried them.
+    for (const entry of pending) {
+      const channel = channels.get(entry.params.id);
+
+      if (!channel) {
+        channels.set(entry.params.id, { params: entry.params, entries: [entry] });
+        continue;
+      }
+
+      const params = Object.assign({}, entry.params);
+
+      for (const key of MERGED_WRITE_KEYS) {
+        if (!(key in params) && key in channel.params) {
+          params[key] = channel.params[key];
+        }
+      }
+
+      channel.params = params;
+      channel.entries.push(entry);
+    }
+
+    const calls = Array.from(channels.values()).map((channel) => ({
+      method: 'Light.Set',
+      params: channel.params,
+      entries: channel.entries,
+    }));
+
+    // Light.SetAll sets every output alike, so it is only used when all
+    // four outputs are to end up in the same state.
+    if (!this.setAllSupported || channels.size !== LIGHT_CHANNELS.length || !haveSameLightParams(calls)) {
+      return calls;
+    }
+
+    const params = Object.assign({}, calls[0].params);
+    delete params.id;
+
+    return [{
+      method: 'Light.SetAll',
+      params,
+      entries: calls.flatMap((call) => call.entries),
+      fallback: calls,
+    }];
+  }
+
+  run(calls) {
+    this.active++;
+    this.lastStart = Date.now();
+
+    this.runCalls(calls).finally(() => {
+      this.active--;
+      this.pump();
+    });
+  }
+
+  async runCalls(calls) {
+    for (const call of calls) {
+      try {
+        const result = await this.execute(call.method, call.params);
+        call.entries.forEach((entry) => entry.resolve(result));
+      } catch (error) {
+        if (call.fallback && (error.code === 404 || error.code === -114)) {
+          // Older firmware has no Light.SetAll. Send the outputs one by one.
+          this.setAllSupported = false;
+          await this.runCalls(call.fallback);
+          continue;
+        }
+
+        call.entries.forEach((entry) => entry.reject(error));
+      }
+    }
+  }
+}
+
+class ShellyDigestAuth {
+  constructor(password) {
+    this.username = 'admin';
+    this.password = password;
+    this.challenge = null;
+  }
+
+  hasChallenge() {
+    return Boolean(this.challenge);
+  }
+
+  updateChallenge(challenge) {
+    if (!challenge || !challenge.realm || challenge.nonce === undefined) {
+      return false;
+    }
+
+    const algorithm = String(challenge.algorithm || 'SHA-256').toUpperCase();
+
+    if (algorithm !== 'SHA-256') {
+      return false;
+    }
+
+    this.challenge = {
+      realm: String(challenge.realm),
+      nonce: toNonce(challenge.nonce),
+    };
+
+    return true;
+  }
+
+  sign() {
+    const { realm, nonce } = this.challenge;
+    const cnonce = crypto.randomBytes(8).readUInt32BE(0);
+    const nc = 1;
+
+    const ha1 = sha256Hex(`${this.username}:${realm}:${this.password}`);
+    const ha2 = sha256Hex('dummy_method:dummy_uri');
+    const response = sha256Hex(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`);
+
+    return {
+      realm,
+      username: this.username,
+      nonce,
+      cnonce,
+      response,
+      algorithm: 'SHA-256',
+    };
+  }
+}
+
+class ShellyRpcSocket extends EventEmitter {
+  constructor(host, options = {}) {
+    super();
+
+    this.requestId = 1;
+    this.auth = options.auth || null;
+    this.timeoutMs = options.timeoutMs || DEFAULT_REQUEST_OPTIONS.timeoutMs;
+    this.minReconnectDelayMs = 1000;
+    this.maxReconnectDelayMs = 60000;
+    this.heartbeatIntervalMs = 30000;
+    this.reconnectDelayMs = this.minReconnectDelayMs;
+
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.pending = new Map();
+    this.closed = false;
+    this.connected = false;
+
+    const base = host.startsWith('http://') || host.startsWith('https://')
+      ? host.replace(/^http/i, 'ws')
+      : `ws://${host}`;
+
+    this.url = `${base.replace(/\/+$/, '')}/rpc`;
+  }
+
+  connect() {
+    this.closed = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const socket = new WebSocket(this.url, { handshakeTimeout: this.timeoutMs });
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.connected = true;
+      this.reconnectDelayMs = this.minReconnectDelayMs;
+      this.startHeartbeat(socket);
+      this.emit('open');
+    });
+
+    socket.on('message', (data) => {
+      this.handleMessage(data);
+    });
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('error', () => {
+      // A close event always follows, which takes care of reconnecting.
+    });
+
+    socket.on('close', () => {
+      this.connected = false;
+      this.stopHeartbeat();
+      this.rejectPending(new Error('WebSocket closed'));
+
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+
+      this.emit('close');
+      this.scheduleReconnect();
+    });
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
+
+    if (this.socket) {
+      this.socket.terminate();
+      this.socket = null;
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) {
+      return;
+    }
+
+    const delay = this.reconnectDelayMs;
+    this.reconnectDelayMs = Math.min(this.reconnectDelayMs * 2, this.maxReconnectDelayMs);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+
+    if (typeof this.reconnectTimer.unref === 'function') {
+      this.reconnectTimer.unref();
+    }
+  }
+
+  startHeartbeat(socket) {
+    this.stopHeartbeat();
+    socket.isAlive = true;
+
+    this.heartbeatTimer = setInterval(() => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+
+      socket.isAlive = false;
+      socket.ping();
+    }, this.heartbeatIntervalMs);
+
+    if (typeof this.heartbeatTimer.unref === 'function') {
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  async call(method, params) {
+    try {
+      return await this.send(method, params);
+    } catch (error) {
+      if (error.code !== 401) {
+        throw error;
+      }
+
+      if (!this.auth) {
+        throw createAuthError(`Authentication required calling ${method}. Set a password for this device.`);
+      }
+
+      if (!this.auth.updateChallenge(error.challenge)) {
+        throw new Error(`Unsupported authentication challenge calling ${method}`);
+      }
+    }
+
+    try {
+      return await this.send(method, params);
+    } catch (error) {
+      if (error.code === 401) {
+        throw createAuthError(`Authentication failed calling ${method}. Check the device password.`);
+      }
+
+      throw error;
+    }
+  }
+
+  send(method, params) {
+    if (!this.connected || !this.socket) {
+      return Promise.reject(new Error(`WebSocket not connected calling ${method}`));
+    }
+
+    const payload = {
+      id: this.requestId++,
+      src: 'homebridge',
+      method,
+    };
+
+    if (params && Object.keys(params).length > 0) {
+      payload.params = params;
+    }
+
+    if (this.auth && this.auth.hasChallenge()) {
+      payload.auth = this.auth.sign();
+    }
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.pending.delete(payload.id);
+        reject(new Error(`Request timeout calling ${method}`));
+      }, this.timeoutMs);
+
+      this.pending.set(payload.id, { method, resolve, reject, timeout });
+      this.socket.send(JSON.stringify(payload));
+    });
+  }
+
+  handleMessage(data) {
+    let frame;
+
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (!frame || typeof frame !== 'object') {
+      return;
+    }
+
+    if (typeof frame.method === 'string') {
+      this.emit('notify', frame.method, frame.params);
+      return;
+    }
+
+    const request = this.pending.get(frame.id);
+
+    if (!request) {
+      return;
+    }
+
+    this.pending.delete(frame.id);
+    clearTimeout(request.timeout);
+
+    if (frame.error) {
+      request.reject(createRpcError(request.method, frame.error));
+      return;
+    }
+
+    request.resolve(frame.result);
+  }
+
+  rejectPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timeout);
+      request.reject(error);
+    }
+
+    this.pending.clear();
+  }
+}
+
+function createAuthError(message) {
+  const error = new Error(message);
+  error.code = 401;
+  return error;
+}
+
+function createRpcError(method, rpcError) {
+  const message = rpcError.message || JSON.stringify(rpcError);
+  const error = new Error(`Shelly RPC error for ${method}: ${message}`);
+  error.code = rpcError.code;
+
+  if (rpcError.code === 401) {
+    try {
+      error.challenge = JSON.parse(rpcError.message);
+    } catch (parseError) {
+      error.challenge = null;
+    }
+  }
+
+  return error;
+}
+
+function parseDigestChallenge(header) {
+  if (typeof header !== 'string' || !/^\s*digest\s/i.test(header)) {
+    return null;
+  }
+
+  const challenge = {};
+  const pattern = /(\w+)=(?:"([^"]*)"|([^\s,]+))/g;
+  let match;
+
+  while ((match = pattern.exec(header)) !== null) {
+    challenge[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+  }
+
+  return challenge;
+}
+
+function toNonce(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : String(value);
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function determineProfile(status, profileHint) {
+  const hint = normalizeProfile(profileHint);
+
+  if (hint) {
+    return hint;
+  }
+
+  const keys = Object.keys(status || {});
+
+  if (keys.some((key) => key.startsWith('light:'))) {
+    return 'light';
+  }
+
+  if (keys.includes('rgbw:0')) {
+    return 'rgbw';
+  }
+
+  if (keys.includes('rgb:0')) {
+    return 'rgb';
+  }
+
+  throw new Error('Could not determine Shelly profile from status.');
+}
+
+function normalizeProfile(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const normalized = value.trim().toLowerCase();
+
+  if (normalized === 'light' || normalized === 'rgb' || normalized === 'rgbw') {
+    return normalized;
+  }
+
+  return null;
+}
+
+function normalizeLightStatus(status) {
+  return {
+    on: Boolean(status.output),
+    brightness: clampPercent(status.brightness ?? (status.output ? 100 : 0)),
+    hue: 0,
+    saturation: 0,
+    ...normalizePowerStatus(status),
+    ...normalizeTimerStatus(status),
+    ...normalizeHealthStatus(status),
+  };
+}
+
+function normalizeCctStatus(pair, warmStatus, coldStatus, previousState) {
+  const warm = warmStatus.output ? clampPercent(warmStatus.brightness ?? 100) : 0;
+  const cold = coldStatus.output ? clampPercent(coldStatus.brightness ?? 100) : 0;
+  const power = Object.assign(
+    combinePowerStatus([normalizePowerStatus(warmStatus), normalizePowerStatus(coldStatus)]),
+    combineHealthStatus([normalizeHealthStatus(warmStatus), normalizeHealthStatus(coldStatus)]),
+    normalizeTimerStatus(warmStatus.timer_started_at ? warmStatus : coldStatus),
+  );
+
+  if (!warm && !cold) {
+    return Object.assign({ on: false }, power);
+  }
+
+  const coldShare = cold / (warm + cold);
+
+  return Object.assign({
+    on: true,
+    brightness: Math.max(warm, cold),
+    colorTemperature: Math.round(pair.warmMired - coldShare * (pair.warmMired - pair.coldMired)),
+    colorMode: 'temperature',
+    hue: previousState.hue,
+    saturation: previousState.saturation,
+  }, power);
+}
+
+function buildCctSetParams(pair, state) {
+  if (!state.on || state.brightness <= 0) {
+    return [
+      { id: pair.warm, on: false },
+      { id: pair.cold, on: false },
+    ];
+  }
+
+  const mired = clampMired(state.colorTemperature, pair.coldMired, pair.warmMired);
+  const coldShare = (pair.warmMired - mired) / (pair.warmMired - pair.coldMired);
+  const peak = Math.max(coldShare, 1 - coldShare);
+
+  // Scale both channels so the dominant one sits at the requested brightness.
+  return [
+    [pair.warm, (1 - coldShare) / peak],
+    [pair.cold, coldShare / peak],
+  ].map(([id, share]) => {
+    const brightness = clampPercent(state.brightness * share);
+    return brightness > 0
+      ? { id, on: true, brightness }
+      : { id, on: false };
+  });
+}
+
+function combinePowerStatus(readings) {
+  const combined = {};
+
+  for (const key of ['power', 'current', 'energy']) {
+    const values = readings.map((reading) => reading[key]).filter(Number.isFinite);
+
+    if (values.length) {
+      combined[key] = roundTo(values.reduce((sum, value) => sum + value, 0), 3);
+    }
+  }
+
+  const voltages = readings.map((reading) => reading.voltage).filter(Number.isFinite);
+
+  if (voltages.length) {
+    combined.voltage = Math.max(...voltages);
+  }
+
+  return combined;
+}
+
+function combineHealthStatus(readings) {
+  const combined = {
+    errors: Array.from(new Set(readings.flatMap((reading) => reading.errors))).sort(),
+  };
+
+  const temperatures = readings.map((reading) => reading.temperature).filter(Number.isFinite);
+
+  if (temperatures.length) {
+    combined.temperature = Math.max(...temperatures);
+  }
+
+  return combined;
+}
+
+function normalizeRgbStatus(deviceStatus, calibration) {
+  const status = uncalibrateColorStatus(deviceStatus, calibration);
+  const rgb = normalizeRgbArray(status.rgb);
+  const hsv = rgbToHsv(rgb[0], rgb[1], rgb[2]);
+
+  return {
+    on: Boolean(status.output),
+    brightness: clampPercent(status.brightness ?? hsv.v),
+    hue: hsv.h,
+    saturation: hsv.s,
+    ...normalizePowerStatus(status),
+    ...normalizeTimerStatus(status),
+    ...normalizeHealthStatus(status),
+  };
+}
+
+function normalizeRgbwStatus(deviceStatus, mode, calibration) {
+  const status = uncalibrateColorStatus(deviceStatus, calibration);
+  const rgb = normalizeRgbArray(status.rgb);
+  const white = clampByte(status.white ?? 0);
+
+  if (mode === 'mixed') {
+    return normalizeMixedRgbwStatus(status, rgb, white);
+  }
+
+  const hasColor = rgb.some((value) => value > 0);
+
+  const colorHsv = rgbToHsv(rgb[0], rgb[1], rgb[2]);
+  const fallbackBrightness = hasColor
+    ? colorHsv.v
+    : Math.round((white / 255) * 100);
+
+  const brightness = clampPercent(status.brightness ?? fallbackBrightness);
+
+  if (!hasColor && white > 0) {
+    return {
+      on: Boolean(status.output),
+      brightness,
+      hue: 0,
+      saturation: 0,
+      ...normalizePowerStatus(status),
+      ...normalizeTimerStatus(status),
+      ...normalizeHealthStatus(status),
+    };
+  }
+
+  return {
+    on: Boolean(status.output),
+    brightness,
+    hue: colorHsv.h,
+    saturation: colorHsv.s,
+    ...normalizePowerStatus(status),
+    ...normalizeTimerStatus(status),
+    ...normalizeHealthStatus(status),
+  };
+}
+
+function normalizeMixedRgbwStatus(status, rgb, white) {
+  // White was split off as the common part of all three channels, so adding
+  // it back restores the color HomeKit asked for. States set elsewhere can
+  // add up to more than full level; scaling them down keeps the white part
+  // in the saturation instead of washing the color out.
+  const sum = rgb.map((value) => value + white);
+  const scale = Math.min(1, 255 / Math.max(...sum, 1));
+  const color = sum.map((value) => clampByte(value * scale));
+  const hsv = rgbToHsv(color[0], color[1], color[2]);
+
+  return {
+    on: Boolean(status.output),
+    brightness: clampPercent(status.brightness ?? hsv.v),
+    hue: hsv.h,
+    saturation: hsv.s,
+    ...normalizePowerStatus(status),
+    ...normalizeTimerStatus(status),
+    ...normalizeHealthStatus(status),
+  };
+}
+
+function parseColorCalibration(config) {
+  const gains = ['redGain', 'greenGain', 'blueGain', 'whiteGain'].map((key) => {
+    const value = Number(config[key]);
+    return Number.isFinite(value) && value > 0 ? Math.min(100, value) / 100 : 1;
+  });
+  const gammaValue = Number(config.gamma);
+  const gamma = Number.isFinite(gammaValue) && gammaValue > 0 ? Math.max(1, Math.min(3, gammaValue)) : 1;
+  const perceptual = config.brightnessCurve === 'perceptual';
+
+  if (gains.every((gain) => gain === 1) && gamma === 1 && !perceptual) {
+    return null;
+  }
+
+  return { gains, gamma, perceptual };
+}
+
+function calibrateColorParams(params, calibration) {
+  if (!calibration) {
+    return params;
+  }
+
+  const hasWhite = params.white !== undefined;
+  const levels = calibrateLevels(hasWhite ? [...params.rgb, params.white] : params.rgb, calibration);
+  const calibrated = Object.assign({}, params, {
+    brightness: calibrateBrightness(params.brightness, calibration),
+    rgb: levels.slice(0, 3),
+  });
+
+  if (hasWhite) {
+    calibrated.white = levels[3];
+  }
+
+  return calibrated;
+}
+
+function uncalibrateColorStatus(status, calibration) {
+  if (!calibration) {
+    return status;
+  }
+
+  const hasWhite = status.white !== undefined;
+  const rgb = normalizeRgbArray(status.rgb);
+  const levels = uncalibrateLevels(hasWhite ? [...rgb, clampByte(status.white)] : rgb, calibration);
+  const uncalibrated = Object.assign({}, status, { rgb: levels.slice(0, 3) });
+
+  if (status.brightness !== undefined) {
+    uncalibrated.brightness = uncalibrateBrightness(status.brightness, calibration);
+  }
+
+  if (hasWhite) {
+    uncalibrated.white = levels[3];
+  }
+
+  return uncalibrated;
+}
+
+// Gamma shapes the mix relative to the strongest channel, so it changes the
+// hue but not the level; the level is left to the brightness curve.
+function calibrateLevels(levels, calibration) {
+  const max = Math.max(...levels);
+
+  if (!max) {
+    return levels.map(() => 0);
+  }
+
+  return levels.map((value, index) => clampByte(max * ((value / max) ** calibration.gamma) * calibration.gains[index]));
+}
+
+function uncalibrateLevels(levels, calibration) {
+  const ratios = levels.map((value, index) => value / calibration.gains[index]);
+  const max = Math.max(...ratios);
+
+  if (!max) {
+    return levels.map(() => 0);
+  }
+
+  return ratios.map((value) => clampByte(max * ((value / max) ** (1 / calibration.gamma))));
+}
+
+function calibrateBrightness(value, calibration) {
+  if (!calibration.perceptual) {
+    return value;
+  }
+
+  // CIE 1931 lightness: HomeKit brightness is perceived lightness, the
+  // device level is luminance.
+  const lightness = clampPercent(value);
+  const luminance = lightness <= 8 ? lightness / 903.3 : ((lightness + 16) / 116) ** 3;
+  return Math.max(1, Math.round(luminance * 100));
+}
+
+function uncalibrateBrightness(value, calibration) {
+  if (!calibration.perceptual) {
+    return value;
+  }
+
+  const luminance = clampPercent(value) / 100;
+  const lightness = luminance <= 0.008856 ? luminance * 903.3 : 116 * Math.cbrt(luminance) - 16;
+  return clampPercent(lightness);
+}
+
+function diffConfig(wanted, current, prefix = '') {
+  const drifts = [];
+
+  for (const [key, value] of Object.entries(wanted)) {
+    const path = `${prefix}${key}`;
+    const actual = current ? current[key] : undefined;
+
+    if (isPlainObject(value)) {
+      drifts.push(...diffConfig(value, isPlainObject(actual) ? actual : {}, `${path}.`));
+    } else if (JSON.stringify(value) !== JSON.stringify(actual)) {
+      drifts.push({ path, wanted: value, current: actual ?? null });
+    }
+  }
+
+  return drifts;
+}
+
+function normalizeTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function parseDimmingPoints(values) {
+  if (!Array.isArray(values)) {
+    return null;
+  }
+
+  const points = values
+    .filter((point) => point && Number.isFinite(Number(point.brightness)) && Number.isFinite(Number(point.level)))
+    .map((point) => [(clampPercent(point.brightness) - 1) / 99, clampPercent(point.level) / 100])
+    .filter(([x]) => x > 0 && x < 1)
+    .sort((a, b) => a[0] - b[0]);
+
+  if (!points.length) {
+    return null;
+  }
+
+  const curve = [[0, 0], ...points, [1, 1]];
+  const rising = curve.every((point, index) => index === 0 || (point[0] > curve[index - 1][0] && point[1] >= curve[index - 1][1]));
+
+  return rising ? curve : null;
+}
+
+// HomeKit 1-100 maps onto the range min-max of the device level, shaped by
+// the curve. 0 stays 0.
+function applyDimming(dimming, value) {
+  if (!dimming || value <= 0) {
+    return value;
+  }
+
+  const position = (clampPercent(value) - 1) / 99;
+  let level = position;
+
+  if (dimming.curve === 'logarithmic') {
+    level = (LOGARITHMIC_DIMMING_BASE ** position - 1) / (LOGARITHMIC_DIMMING_BASE - 1);
+  } else if (dimming.curve === 'custom') {
+    level = interpolatePoints(dimming.points, position, 0, 1);
+  }
+
+  return Math.max(1, Math.round(dimming.min + (dimming.max - dimming.min) * level));
+}
+
+function invertDimming(dimming, value) {
+  if (!dimming || value <= 0) {
+    return value;
+  }
+
+  const level = Math.max(0, Math.min(1, (value - dimming.min) / (dimming.max - dimming.min)));
+  let position = level;
+
+  if (dimming.curve === 'logarithmic') {
+    position = Math.log(1 + level * (LOGARITHMIC_DIMMING_BASE - 1)) / Math.log(LOGARITHMIC_DIMMING_BASE);
+  } else if (dimming.curve === 'custom') {
+    position = interpolatePoints(dimming.points, level, 1, 0);
+  }
+
+  return clampPercent(1 + 99 * position);
+}
+
+function interpolatePoints(points, value, from, to) {
+  const upper = points.findIndex((point) => point[from] >= value);
+
+  if (upper <= 0) {
+    return points[Math.max(0, upper)][to];
+  }
+
+  const low = points[upper - 1];
+  const high = points[upper];
+  const span = high[from] - low[from];
+
+  return span ? low[to] + (high[to] - low[to]) * (value - low[from]) / span : high[to];
+}
+
+function normalizeHealthStatus(status) {
+  const health = {
+    errors: Array.isArray(status.errors) ? status.errors.map(String).sort() : [],
+  };
+
+  if (status.temperature && Number.isFinite(status.temperature.tC)) {
+    health.temperature = roundTo(status.temperature.tC, 1);
+  }
+
+  return health;
+}
+
+function normalizePowerStatus(status) {
+  const power = {};
 
-  if (hint) {
-    return hint;
+  if (Number.isFinite(status.apower)) {
+    power.power = roundTo(Math.max(0, status.apower), 1);
   }
 
-  const keys = Object.keys(status || {});
-
-  if (keys.some((key) => key.startsWith('light:'))) {
-    return 'light';
+  if (Number.isFinite(status.voltage)) {
+    power.voltage = roundTo(Math.max(0, status.voltage), 1);
   }
 
-  if (keys.includes('rgbw:0')) {
-    return 'rgbw';
+  if (Number.isFinite(status.current)) {
+    power.current = roundTo(Math.max(0, status.current), 3);
   }
 
-  if (keys.includes('rgb:0')) {
-    return 'rgb';
+  if (status.aenergy && Number.isFinite(status.aenergy.total)) {
+    power.energy = roundTo(Math.max(0, status.aenergy.total) / 1000, 3);
   }
 
-  throw new Error('Could not determine Shelly profile from status.');
+  return power;
 }
 
-function normalizeProfile(value) {
-  if (typeof value !== 'string') {
-    return null;
-  }
+function normalizeTimerStatus(status) {
+  const startedAt = Number(status.timer_started_at);
+  const duration = Number(status.timer_duration);
 
-  const normalized = value.trim().toLowerCase();
+  return {
+    timerEndsAt: startedAt > 0 && duration > 0 ? Math.round((startedAt + duration) * 1000) : null,
+  };
+}
 
-  if (normalized === 'light' || normalized === 'rgb' || normalized === 'rgbw') {
-    return normalized;
+function remainingSeconds(state) {
+  if (!state.on || !state.timerEndsAt) {
+    return 0;
   }
 
-  return null;
+  return Math.max(0, Math.min(MAX_TIMER_SECONDS, Math.round((state.timerEndsAt - Date.now()) / 1000)));
 }
 
-function normalizeLightStatus(status) {
-  return {
-    on: Boolean(status.output),
-    brightness: clampPercent(status.brightness ?? (status.output ? 100 : 0)),
-    hue: 0,
-    saturation: 0,
-  };
+function hasConfigChangedEvent(params) {
+  const events = Array.isArray(params.events) ? params.events : [];
+  return events.some((event) => event && event.component === 'sys' && event.event === 'config_changed');
 }
 
-function normalizeRgbStatus(status) {
-  const rgb = normalizeRgbArray(status.rgb);
-  const hsv = rgbToHsv(rgb[0], rgb[1], rgb[2]);
+function mergeStatus(previous, delta) {
+  const merged = Object.assign({}, previous);
 
-  return {
-    on: Boolean(status.output),
-    brightness: clampPercent(status.brightness ?? hsv.v),
-    hue: hsv.h,
-    saturation: hsv.s,
-  };
-}
+  for (const [key, value] of Object.entries(delta || {})) {
+    if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeComponentStatus(merged[key], value);
+      continue;
+    }
 
-function normalizeRgbwStatus(status) {
-  const rgb = normalizeRgbArray(status.rgb);
-  const white = clampByte(status.white ?? 0);
-  const hasColor = rgb.some((value) => value > 0);
+    merged[key] = value;
+  }
 
-  const colorHsv = rgbToHsv(rgb[0], rgb[1], rgb[2]);
-  const fallbackBrightness = hasColor
-    ? colorHsv.v
-    : Math.round((white / 255) * 100);
+  return merged;
+}
 
-  const brightness = clampPercent(status.brightness ?? fallbackBrightness);
+function mergeComponentStatus(previous, delta) {
+  const merged = Object.assign({}, previous);
 
-  if (!hasColor && white > 0) {
-    return {
-      on: Boolean(status.output),
-      brightness,
-      hue: 0,
-      saturation: 0,
-    };
+  // Deltas only carry changed fields, so these keys are only known to be
+  // gone when the output switches without them.
+  if ('output' in delta && delta.output !== previous.output) {
+    for (const key of TRANSIENT_STATUS_KEYS) {
+      if (!(key in delta)) {
+        delete merged[key];
+      }
+    }
   }
 
-  return {
-    on: Boolean(status.output),
-    brightness,
-    hue: colorHsv.h,
-    saturation: colorHsv.s,
-  };
+  for (const [key, value] of Object.entries(delta)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? Object.assign({}, merged[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
 
 function defaultState(kind) {
+  if (kind === 'input') {
+    return {
+      on: false,
+    };
+  }
+
   if (kind === 'light') {
     return {
       on: false,
@@ -902,6 +4661,8 @@ function defaultState(kind) {
     brightness: 100,
     hue: 0,
     saturation: 0,
+    colorTemperature: 250,
+    colorMode: 'color',
   };
 }
 
@@ -957,6 +4718,60 @@ function hsvToRgb(h, s, v) {
   ];
 }
 
+function mixColorTemperature(mired, whiteKelvin) {
+  const target = normalizeChannels(kelvinToRgb(1000000 / clampMired(mired)));
+  const white = normalizeChannels(kelvinToRgb(whiteKelvin));
+
+  // Use as much of the white LED as fits under the target color and make up
+  // the difference with the RGB channels.
+  const whiteLevel = Math.min(...target.map((value, index) => (white[index] ? value / white[index] : 1)));
+  const tint = target.map((value, index) => Math.max(0, value - whiteLevel * white[index]));
+
+  return {
+    rgb: tint.map((value) => value * 255),
+    white: whiteLevel,
+  };
+}
+
+function kelvinToRgb(kelvin) {
+  const temperature = kelvin / 100;
+  let red;
+  let green;
+  let blue;
+
+  if (temperature <= 66) {
+    red = 255;
+    green = 99.4708025861 * Math.log(temperature) - 161.1195681661;
+  } else {
+    red = 329.698727446 * ((temperature - 60) ** -0.1332047592);
+    green = 288.1221695283 * ((temperature - 60) ** -0.0755148492);
+  }
+
+  if (temperature >= 66) {
+    blue = 255;
+  } else if (temperature <= 19) {
+    blue = 0;
+  } else {
+    blue = 138.5177312231 * Math.log(temperature - 10) - 305.0447927307;
+  }
+
+  return [clampByte(red), clampByte(green), clampByte(blue)];
+}
+
+function normalizeChannels(rgb) {
+  const max = Math.max(...rgb);
+  return rgb.map((value) => (max ? value / max : 0));
+}
+
+function matchesRgbwOutput(expected, status) {
+  const rgb = normalizeRgbArray(status.rgb);
+  const white = clampByte(status.white ?? 0);
+  const tolerance = 2;
+
+  return (expected.white === undefined || Math.abs(expected.white - white) <= tolerance)
+    && expected.rgb.every((value, index) => Math.abs(value - rgb[index]) <= tolerance);
+}
+
 function rgbToHsv(r, g, b) {
   const red = clampByte(r) / 255;
   const green = clampByte(g) / 255;
@@ -1004,6 +4819,11 @@ function normalizeRgbArray(rgb) {
   ];
 }
 
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
 function percentToByte(value) {
   return clampByte(Math.round((clampPercent(value) / 100) * 255));
 }
@@ -1036,6 +4856,36 @@ function clampHue(value) {
   return Math.round(number);
 }
 
+function clampMired(value, minValue = MIN_MIRED, maxValue = MAX_MIRED) {
+  const number = Number(value);
+
+  if (!Number.isFinite(number)) {
+    return Math.max(minValue, Math.min(maxValue, 250));
+  }
+
+  return Math.max(minValue, Math.min(maxValue, Math.round(number)));
+}
+
+function clampKelvin(value, fallback = DEFAULT_WHITE_TEMPERATURE) {
+  const number = Number(value);
+
+  if (!Number.isFinite(number) || number <= 0) {
+    return fallback;
+  }
+
+  return Math.max(1000, Math.min(10000, Math.round(number)));
+}
+
+function clampTemperature(value) {
+  const number = Number(value);
+
+  if (!Number.isFinite(number)) {
+    return 0;
+  }
+
+  return Math.max(-50, Math.min(100, number));
+}
+
 function clampByte(value) {
   const number = Number(value);
 
@@ -1046,6 +4896,281 @@ function clampByte(value) {
   return Math.max(0, Math.min(255, Math.round(number)));
 }
 
+function pickServiceAddress(service) {
+  const addresses = Array.isArray(service.addresses) ? service.addresses : [];
+  const ipv4 = addresses.find((address) => /^\d+\.\d+\.\d+\.\d+$/.test(address));
+
+  if (ipv4) {
+    return ipv4;
+  }
+
+  if (service.referer && service.referer.address) {
+    return service.referer.address;
+  }
+
+  return sanitizeHost(service.host);
+}
+
+function writeAction(state, next, changes) {
+  if (!next.on) {
+    return 'off';
+  }
+
+  if (!state.on) {
+    return 'on';
+  }
+
+  if ('hue' in changes || 'saturation' in changes || 'colorTemperature' in changes) {
+    return 'color';
+  }
+
+  return 'brightness' in changes ? 'brightness' : 'on';
+}
+
+function parsePreset(config) {
+  const name = normalizeName(config && config.name);
+
+  if (!name) {
+    return null;
+  }
+
+  const read = (key, clamp) => {
+    const number = Number(config[key]);
+    return config[key] !== undefined && config[key] !== null && config[key] !== '' && Number.isFinite(number)
+      ? clamp(number)
+      : null;
+  };
+
+  const preset = {
+    name,
+    brightness: read('brightness', clampPercent),
+    hue: read('hue', clampHue),
+    saturation: read('saturation', clampPercent),
+    white: read('white', clampPercent),
+    levels: [1, 2, 3, 4].map((channel) => read(`level${channel}`, clampPercent)),
+  };
+
+  const values = [preset.brightness, preset.hue, preset.saturation, preset.white, ...preset.levels];
+  return values.some((value) => value !== null) ? preset : null;
+}
+
+function presetColor(preset, state) {
+  return {
+    brightness: preset.brightness ?? state.brightness ?? 100,
+    hue: preset.hue ?? state.hue ?? 0,
+    saturation: preset.saturation ?? state.saturation ?? 0,
+  };
+}
+
+function parsePalette(values) {
+  const palette = [];
+
+  for (const value of Array.isArray(values) ? values : []) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(typeof value === 'string' ? value.trim() : '');
+
+    if (!match) {
+      continue;
+    }
+
+    const number = parseInt(match[1], 16);
+    const hsv = rgbToHsv((number >> 16) & 255, (number >> 8) & 255, number & 255);
+    palette.push({ hue: hsv.h, saturation: hsv.s });
+  }
+
+  return palette;
+}
+
+function renderEffectFrame(effect, elapsed, peak) {
+  const period = effect.speed * 1000;
+  const palette = effect.palette;
+  const pick = (index) => palette.length ? palette[index % palette.length] : null;
+
+  if (effect.type === 'colorLoop') {
+    const position = (elapsed % period) / period;
+    let color = { hue: position * 360, saturation: 100 };
+
+    if (palette.length > 1) {
+      const scaled = position * palette.length;
+      const from = pick(Math.floor(scaled));
+      const to = pick(Math.floor(scaled) + 1);
+      const step = scaled - Math.floor(scaled);
+      const distance = ((to.hue - from.hue + 540) % 360) - 180;
+
+      color = {
+        hue: (from.hue + distance * step + 360) % 360,
+        saturation: from.saturation + (to.saturation - from.saturation) * step,
+      };
+    }
+
+    return { on: true, brightness: peak, ...roundColor(color), delay: 500, transition: 0.5 };
+  }
+
+  if (effect.type === 'breathing') {
+    const delay = Math.max(200, period / 20);
+    const level = 0.5 - 0.5 * Math.cos(2 * Math.PI * ((elapsed % period) / period));
+    const color = pick(Math.floor(elapsed / period)) || { hue: 0, saturation: 0 };
+
+    return {
+      on: true,
+      brightness: Math.max(1, Math.round(peak * (0.05 + 0.95 * level))),
+      ...roundColor(color),
+      delay,
+      transition: delay / 1000,
+    };
+  }
+
+  if (effect.type === 'candle') {
+    const color = pick(0) || { hue: 30, saturation: 85 };
+
+    return {
+      on: true,
+      brightness: Math.max(1, Math.round(peak * (0.6 + 0.4 * Math.random()))),
+      ...roundColor({ hue: color.hue + (Math.random() - 0.5) * 6, saturation: color.saturation }),
+      delay: effect.speed * (100 + Math.random() * 200),
+      transition: 0.1,
+    };
+  }
+
+  const flash = Math.floor(elapsed / (period / 2));
+  const color = pick(Math.floor(flash / 2)) || { hue: 0, saturation: 0 };
+
+  return {
+    on: flash % 2 === 0,
+    brightness: peak,
+    ...roundColor(color),
+    delay: period / 2,
+    transition: 0,
+  };
+}
+
+function roundColor(color) {
+  return {
+    hue: clampHue((Math.round(color.hue) + 360) % 360),
+    saturation: clampPercent(color.saturation),
+  };
+}
+
+function parseUpdateCheckInterval(value) {
+  const hours = value === undefined ? DEFAULT_UPDATE_CHECK_HOURS : Number(value);
+
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return 0;
+  }
+
+  return Math.max(1, Math.min(168, hours)) * 60 * 60 * 1000;
+}
+
+function parseRequestOptions(config, defaults) {
+  const read = (key, min, max) => {
+    const number = Number(config ? config[key] : undefined);
+    return config && config[key] !== undefined && config[key] !== '' && Number.isFinite(number)
+      ? Math.max(min, Math.min(max, number))
+      : null;
+  };
+
+  const pollInterval = read('pollInterval', 1, 3600);
+  const timeout = read('requestTimeout', 1, 60);
+  const retries = read('requestRetries', 0, 5);
+
+  return {
+    pollIntervalMs: pollInterval === null ? defaults.pollIntervalMs : pollInterval * 1000,
+    timeoutMs: timeout === null ? defaults.timeoutMs : timeout * 1000,
+    retries: retries === null ? defaults.retries : Math.round(retries),
+  };
+}
+
+function isReadMethod(method) {
+  return /\.(Get|List)\w*$/.test(method);
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseTransitions(config) {
+  const read = (key) => {
+    const number = Number(config ? config[key] : undefined);
+    return config && config[key] !== undefined && config[key] !== '' && Number.isFinite(number)
+      ? Math.max(0, Math.min(MAX_TRANSITION_SECONDS, number))
+      : null;
+  };
+
+  return {
+    on: read('transitionOn'),
+    off: read('transitionOff'),
+    brightness: read('transitionBrightness'),
+    color: read('transitionColor'),
+  };
+}
+
+function normalizeIdList(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  return value
+    .map((entry) => sanitizeHost(entry).toLowerCase())
+    .filter(Boolean);
+}
+
+function resolveLocalAddress(host, timeoutMs = 4000) {
+  // The local end of a connection to the device is the address it can call back.
+  const { hostname, port } = new URL(`http://${host}`);
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: hostname.replace(/^\[|\]$/g, ''), port: Number(port) || 80 });
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('Timed out resolving the local address')));
+    socket.once('error', reject);
+    socket.once('connect', () => {
+      const address = socket.localAddress.replace(/^::ffff:/, '');
+      socket.end();
+      resolve(address);
+    });
+  });
+}
+
+function formatAddress(address) {
+  return net.isIPv6(address) ? `[${address}]` : address;
+}
+
+function webhookKey(hook) {
+  return `${hook.event}|${hook.cid}|${hook.url}`;
+}
+
+function singleCall(entry) {
+  return { method: entry.method, params: entry.params, entries: [entry] };
+}
+
+function haveSameLightParams(calls) {
+  const keys = calls.map((call) => JSON.stringify(Object.assign({}, call.params, { id: undefined })));
+  return keys.every((key) => key === keys[0]);
+}
+
+function matchesSecret(value, secret) {
+  if (typeof value !== 'string' || !secret) {
+    return false;
+  }
+
+  const given = Buffer.from(value);
+  const expected = Buffer.from(secret);
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function webhookDevice(url) {
+  try {
+    return new URL(url).searchParams.get('device');
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeMac(value) {
+  const mac = typeof value === 'string' ? value.replace(/[^0-9a-f]/gi, '').toLowerCase() : '';
+  return mac.length === 12 ? mac : null;
+}
+
 function sanitizeHost(value) {
   if (typeof value !== 'string') {
     return '';
@@ -1065,6 +5190,92 @@ function normalizeName(value) {
   return value.trim();
 }
 
+function defineCharacteristic(hap, displayName, uuid, props) {
+  return class extends hap.Characteristic {
+    static UUID = uuid;
+
+    constructor() {
+      super(displayName, uuid, props);
+      this.value = this.getDefaultValue();
+    }
+  };
+}
+
+function createCustomCharacteristics(hap) {
+  const { Formats, Perms, Units } = hap;
+
+  return {
+    TransitionTime: defineCharacteristic(hap, 'Transition Time', '5B6B1F4E-2C3A-4D57-9F0E-8A1D6C2B7E41', {
+      format: Formats.FLOAT,
+      unit: Units.SECONDS,
+      minValue: 0,
+      maxValue: MAX_TRANSITION_SECONDS,
+      minStep: 0.5,
+      perms: [Perms.PAIRED_READ, Perms.PAIRED_WRITE, Perms.NOTIFY],
+    }),
+  };
+}
+
+function createEveCharacteristics(hap) {
+  const { Formats, Perms } = hap;
+  const define = (displayName, uuid, props) => defineCharacteristic(hap, displayName, uuid, props);
+
+  const meter = (props) => Object.assign({
+    format: Formats.FLOAT,
+    minValue: 0,
+    perms: [Perms.PAIRED_READ, Perms.NOTIFY],
+  }, props);
+
+  const data = (perms) => ({
+    format: Formats.DATA,
+    perms: perms.concat(Perms.HIDDEN),
+  });
+
+  return {
+    Consumption: define('Consumption', 'E863F10D-079E-48FF-8F27-9C2605A29F52', meter({
+      unit: 'W',
+      maxValue: 100000,
+    })),
+    TotalConsumption: define('Total Consumption', 'E863F10C-079E-48FF-8F27-9C2605A29F52', meter({
+      unit: 'kWh',
+      maxValue: 100000000,
+    })),
+    Voltage: define('Voltage', 'E863F10A-079E-48FF-8F27-9C2605A29F52', meter({
+      unit: 'V',
+      maxValue: 1000,
+    })),
+    ElectricCurrent: define('Electric Current', 'E863F126-079E-48FF-8F27-9C2605A29F52', meter({
+      unit: 'A',
+      maxValue: 1000,
+    })),
+    HistoryStatus: define('S2R1', 'E863F116-079E-48FF-8F27-9C2605A29F52',
+      data([Perms.PAIRED_READ, Perms.NOTIFY])),
+    HistoryEntries: define('S2R2', 'E863F117-079E-48FF-8F27-9C2605A29F52',
+      data([Perms.PAIRED_READ, Perms.NOTIFY])),
+    HistoryRequest: define('S2W1', 'E863F11C-079E-48FF-8F27-9C2605A29F52',
+      data([Perms.PAIRED_WRITE])),
+    SetTime: define('S2W2', 'E863F121-079E-48FF-8F27-9C2605A29F52',
+      data([Perms.PAIRED_WRITE])),
+  };
+}
+
+function createEveHistoryService(hap, EveCharacteristic) {
+  const uuid = 'E863F007-079E-48FF-8F27-9C2605A29F52';
+
+  return class extends hap.Service {
+    static UUID = uuid;
+
+    constructor(displayName, subtype) {
+      super(displayName, uuid, subtype);
+
+      this.addCharacteristic(EveCharacteristic.HistoryStatus);
+      this.addCharacteristic(EveCharacteristic.HistoryEntries);
+      this.addCharacteristic(EveCharacteristic.HistoryRequest);
+      this.addCharacteristic(EveCharacteristic.SetTime);
+    }
+  };
+}
+
 function resetCharacteristicHandlers(characteristic) {
   if (typeof characteristic.removeOnGet === 'function') {
     characteristic.removeOnGet();